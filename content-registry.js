@@ -0,0 +1,125 @@
+// ========================================
+// CONTENT REGISTRY MODULE
+// ========================================
+// Shared home for stories and questions. Each content file
+// (questions-level-*.js, and app.js for the built-in lists) calls
+// ContentRegistry.register() as it loads; app.js then reads the
+// merged lists back. Duplicate ids and questions whose storyId has
+// no story are collected and reported once at startup.
+// Exposes global ContentRegistry with register(), getStories(),
+// getQuestions(), getSources(), getProblems(), reportProblems() and
+// unregister().
+// ========================================
+
+var ContentRegistry = (function() {
+    var sources = [];         // { name, stories, questions } in load order
+    var merged = null;        // cached { stories, questions, problems }
+
+    // content: { stories: [...], questions: [...] } (either may be omitted).
+    // Registering a name again replaces that source in place, which is how
+    // locally authored content is refreshed after an edit.
+    function register(name, content) {
+        content = content || {};
+        var source = {
+            name: name,
+            stories: (content.stories || []).filter(Boolean),
+            questions: (content.questions || []).filter(Boolean)
+        };
+        var replaced = false;
+        for (var i = 0; i < sources.length; i++) {
+            if (sources[i].name === name) {
+                sources[i] = source;
+                replaced = true;
+            }
+        }
+        if (!replaced) sources.push(source);
+        merged = null;
+    }
+
+    // Drops a source entirely (used when a content pack is removed)
+    function unregister(name) {
+        sources = sources.filter(function(src) { return src.name !== name; });
+        merged = null;
+    }
+
+    // The first file to register an id keeps it; later copies are dropped
+    // and reported so the file that needs fixing is easy to find.
+    function build() {
+        if (merged) return merged;
+        var stories = [], questions = [], problems = [];
+        var storyOwner = {}, questionOwner = {};
+
+        sources.forEach(function(src) {
+            src.stories.forEach(function(s) {
+                if (storyOwner[s.id] !== undefined) {
+                    problems.push({ type: 'duplicate-story', id: s.id, source: src.name, keptFrom: storyOwner[s.id] });
+                    return;
+                }
+                storyOwner[s.id] = src.name;
+                stories.push(s);
+            });
+        });
+
+        sources.forEach(function(src) {
+            src.questions.forEach(function(q) {
+                if (questionOwner[q.id] !== undefined) {
+                    problems.push({ type: 'duplicate-question', id: q.id, storyId: q.storyId, source: src.name, keptFrom: questionOwner[q.id] });
+                    return;
+                }
+                questionOwner[q.id] = src.name;
+                questions.push(q);
+                if (storyOwner[q.storyId] === undefined) {
+                    problems.push({ type: 'orphan-question', id: q.id, storyId: q.storyId, source: src.name });
+                }
+            });
+        });
+
+        merged = { stories: stories, questions: questions, problems: problems };
+        return merged;
+    }
+
+    function getStories() {
+        return build().stories;
+    }
+
+    function getQuestions() {
+        return build().questions;
+    }
+
+    function getSources() {
+        return sources.map(function(src) {
+            return { name: src.name, stories: src.stories.length, questions: src.questions.length };
+        });
+    }
+
+    function getProblems() {
+        return build().problems.slice();
+    }
+
+    function describeProblem(p) {
+        if (p.type === 'duplicate-story') return 'Story id ' + p.id + ' in ' + p.source + ' is already used by ' + p.keptFrom;
+        if (p.type === 'duplicate-question') return 'Question id ' + p.id + ' (story ' + p.storyId + ') in ' + p.source + ' is already used by ' + p.keptFrom;
+        return 'Question ' + p.id + ' in ' + p.source + ' points at story ' + p.storyId + ', which does not exist';
+    }
+
+    function reportProblems() {
+        var problems = build().problems;
+        if (problems.length === 0) return problems;
+        console.warn('ContentRegistry: ' + problems.length + ' content problem' + (problems.length === 1 ? '' : 's') + ' found');
+        problems.forEach(function(p) {
+            console.warn('  ' + describeProblem(p));
+        });
+        return problems;
+    }
+
+    return {
+        register: register,
+        unregister: unregister,
+        getStories: getStories,
+        getQuestions: getQuestions,
+        getSources: getSources,
+        getProblems: getProblems,
+        describeProblem: describeProblem,
+        reportProblems: reportProblems
+    };
+})();
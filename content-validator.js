@@ -0,0 +1,357 @@
+// ========================================
+// CONTENT VALIDATOR MODULE
+// ========================================
+// Checks every story and question against the shapes app.js expects
+// and returns a report grouped by story id. Runs in the browser (hidden
+// admin screen, index.html#admin) and under Node through
+// scripts/validate-content.js.
+// Exposes global ContentValidator with validate(), formatReport().
+// ========================================
+
+var ContentValidator = (function() {
+    var SEVERITIES = ['error', 'warning', 'info'];
+    var GENRES = ['fiction', 'nonfiction'];
+    var QUESTION_TYPES = ['multiple', 'truefalse', 'fillblank', 'sequence', 'matching', 'highlight', 'openended'];
+    var CATEGORIES = ['main_idea', 'theme', 'summary', 'story', 'character', 'sequence', 'inference',
+        'cause_effect', 'compare_contrast', 'fact_opinion', 'author_purpose', 'text_structure',
+        'vocab', 'vocabulary', 'context', 'phonics', 'grammar'];
+    var PARTS_OF_SPEECH = ['noun', 'verb', 'adjective', 'adverb', 'pronoun', 'preposition', 'conjunction', 'interjection'];
+    var WORD_COUNT_TOLERANCE = 0.1;  // off by more than 10% skews WPM enough to be a warning
+
+    // Topic check: a "key term" is a word (first KEY_TERM_STEM letters, so
+    // plurals and tenses match) used by at least KEY_TERM_MIN_QUESTIONS
+    // questions in a story's set. Sets written for another passage share
+    // almost none of theirs with the story; real sets share a third or more.
+    var KEY_TERM_STEM = 6;
+    var KEY_TERM_MIN_QUESTIONS = 3;
+    var KEY_TERM_MIN_TERMS = 5;       // fewer than this (tiny aa/A sets) is too noisy to judge
+    var KEY_TERM_MIN_SHARE = 0.25;
+    var KEY_TERM_STOPWORDS = ('passage author according following correct answer question explain describe because ' +
+        'should would could which their there these those about other another through during before after between ' +
+        'without important something someone people person things really always never mainly mostly probably likely ' +
+        'reader readers story stories title sentence phrase describes described suggests suggest shows means meaning ' +
+        'happens happened called became become becomes better different example examples reason reasons information ' +
+        'detail details section paragraph paragraphs theme summary purpose structure organized statement opinion ' +
+        'contrast compare effect cause causes effects mentioned explains explained includes include usually little ' +
+        'while great makes making first second third finally order events event think thinks believe believes ' +
+        'highlighted identify parts speech character characters feels feeling learn learned lesson message again ' +
+        'every central verifiable instead rather focus shown action actions adjective adverb tells').split(' ');
+
+    function isIndex(value, length) {
+        return typeof value === 'number' && value % 1 === 0 && value >= 0 && value < length;
+    }
+
+    function isNonEmptyString(value) {
+        return typeof value === 'string' && value.trim() !== '';
+    }
+
+    function countWords(text) {
+        var trimmed = String(text || '').trim();
+        return trimmed ? trimmed.split(/\s+/).length : 0;
+    }
+
+    // content: { stories, questions, vocabDB, levels, registryProblems }
+    function validate(content) {
+        var stories = content.stories || [];
+        var questions = content.questions || [];
+        var vocabDB = content.vocabDB || {};
+        var levels = content.levels || [];
+        var issues = [];
+
+        function add(severity, storyId, questionId, code, message) {
+            issues.push({ severity: severity, storyId: storyId, questionId: questionId, code: code, message: message });
+        }
+
+        var storyById = {};
+        var questionsByStory = {};
+        stories.forEach(function(s) {
+            if (storyById[s.id] !== undefined) add('error', s.id, null, 'duplicate-story', 'Story id is used more than once');
+            storyById[s.id] = s;
+        });
+        questions.forEach(function(q) {
+            (questionsByStory[q.storyId] = questionsByStory[q.storyId] || []).push(q);
+        });
+
+        stories.forEach(function(s) {
+            checkStory(s, add, vocabDB, levels, questionsByStory[s.id] || []);
+        });
+
+        var seenQuestion = {};
+        questions.forEach(function(q) {
+            if (seenQuestion[q.id]) add('error', q.storyId, q.id, 'duplicate-question', 'Question id is also used by a question for story ' + seenQuestion[q.id].storyId);
+            seenQuestion[q.id] = q;
+            checkQuestion(q, add, storyById[q.storyId]);
+        });
+
+        // Copies the registry already dropped never reach the lists above
+        (content.registryProblems || []).forEach(function(p) {
+            if (p.type === 'orphan-question') return; // reported by checkQuestion
+            add('error', p.type === 'duplicate-story' ? p.id : p.storyId, p.type === 'duplicate-story' ? null : p.id,
+                p.type, 'Dropped at load: ' + p.source + ' reuses an id from ' + p.keptFrom);
+        });
+
+        return buildReport(issues, stories.length, questions.length);
+    }
+
+    function checkStory(s, add, vocabDB, levels, storyQuestions) {
+        var id = s.id;
+        if (typeof id !== 'number') add('error', id, null, 'story-id', 'Story id should be a number');
+        if (!isNonEmptyString(s.title)) add('error', id, null, 'missing-title', 'Story has no title');
+        if (!isNonEmptyString(s.text)) {
+            add('error', id, null, 'missing-text', 'Story has no text');
+            return;
+        }
+        if (levels.indexOf(s.level) < 0) add('error', id, null, 'bad-level', 'Level "' + s.level + '" is not one of LEVELS');
+        if (GENRES.indexOf(s.genre) < 0) add('warning', id, null, 'bad-genre', 'Genre "' + s.genre + '" should be fiction or nonfiction');
+
+        var actual = countWords(s.text);
+        if (typeof s.wordCount !== 'number') {
+            add('warning', id, null, 'word-count', 'wordCount is missing (text has ' + actual + ' words)');
+        } else if (s.wordCount !== actual) {
+            var off = Math.abs(s.wordCount - actual) / Math.max(actual, 1);
+            add(off > WORD_COUNT_TOLERANCE ? 'warning' : 'info', id, null, 'word-count',
+                'wordCount is ' + s.wordCount + ' but the text has ' + actual + ' words');
+        }
+
+        if (s.vocabulary) {
+            var lowerText = s.text.toLowerCase();
+            s.vocabulary.forEach(function(word) {
+                var lower = String(word).toLowerCase();
+                if (!vocabDB[lower]) add('warning', id, null, 'vocab-missing', 'Vocabulary word "' + word + '" is not in storyVocabDB, so it is skipped');
+                if (lowerText.indexOf(lower) < 0) add('info', id, null, 'vocab-not-in-text', 'Vocabulary word "' + word + '" does not appear in the text');
+            });
+        }
+
+        if (storyQuestions.length === 0) add('error', id, null, 'no-questions', 'Story has no questions, so there is nothing to answer after reading it');
+        else checkTopic(s, storyQuestions, add);
+    }
+
+    // Every word a question puts in front of the child, stemmed, once each
+    function getQuestionTerms(q) {
+        var parts = [q.question, q.sentence, q.hint, q.explanation].concat(q.options || [], q.items || [], q.words || []);
+        (q.pairs || []).forEach(function(pair) { parts = parts.concat(pair); });
+        var words = parts.join(' ').toLowerCase().match(/[a-z]{5,}/g) || [];
+        var terms = {};
+        words.forEach(function(word) {
+            if (KEY_TERM_STOPWORDS.indexOf(word) >= 0) return;
+            var stem = word.slice(0, KEY_TERM_STEM);
+            if (!terms[stem]) terms[stem] = word;
+        });
+        return terms;
+    }
+
+    function checkTopic(s, storyQuestions, add) {
+        var uses = {};
+        var examples = {};
+        storyQuestions.forEach(function(q) {
+            var terms = getQuestionTerms(q);
+            Object.keys(terms).forEach(function(stem) {
+                uses[stem] = (uses[stem] || 0) + 1;
+                examples[stem] = examples[stem] || terms[stem];
+            });
+        });
+        var keyTerms = Object.keys(uses).filter(function(stem) { return uses[stem] >= KEY_TERM_MIN_QUESTIONS; });
+        if (keyTerms.length < KEY_TERM_MIN_TERMS) return;
+
+        var storyText = (s.title + ' ' + s.text).toLowerCase();
+        var missing = keyTerms.filter(function(stem) { return storyText.indexOf(stem) < 0; });
+        var shared = keyTerms.length - missing.length;
+        if (shared / keyTerms.length >= KEY_TERM_MIN_SHARE) return;
+
+        missing.sort(function(a, b) { return uses[b] - uses[a]; });
+        add('warning', s.id, null, 'off-topic-questions', 'Only ' + shared + ' of ' + keyTerms.length +
+            ' key terms in its questions appear in the story (missing: ' + missing.slice(0, 5).map(function(stem) { return examples[stem]; }).join(', ') +
+            '), so the set was probably written for another passage');
+    }
+
+    function checkQuestion(q, add, story) {
+        var sid = q.storyId, qid = q.id;
+        if (typeof qid !== 'number') add('error', sid, qid, 'question-id', 'Question id should be a number');
+        if (!story) add('error', sid, qid, 'orphan-question', 'Question points at story ' + sid + ', which does not exist');
+        if (QUESTION_TYPES.indexOf(q.type) < 0) {
+            add('error', sid, qid, 'bad-type', 'Unknown question type "' + q.type + '"');
+            return;
+        }
+        if (CATEGORIES.indexOf(q.category) < 0) add('warning', sid, qid, 'bad-category', 'Unknown category "' + q.category + '"');
+        if (!isNonEmptyString(q.question)) add('warning', sid, qid, 'missing-question', 'Question has no prompt text');
+        if (!isNonEmptyString(q.hint)) add('info', sid, qid, 'missing-hint', 'Question has no hint');
+        if (!isNonEmptyString(q.explanation)) add('info', sid, qid, 'missing-explanation', 'Question has no explanation');
+
+        if (q.type === 'multiple') checkMultiple(q, add);
+        else if (q.type === 'truefalse') checkTrueFalse(q, add);
+        else if (q.type === 'fillblank') checkFillBlank(q, add);
+        else if (q.type === 'sequence') checkSequence(q, add);
+        else if (q.type === 'matching') checkMatching(q, add);
+        else if (q.type === 'highlight') checkHighlight(q, add);
+    }
+
+    function checkMultiple(q, add) {
+        var sid = q.storyId, qid = q.id;
+        if (!q.options || q.options.length < 2) {
+            add('error', sid, qid, 'options', 'Multiple choice needs at least two options');
+            return;
+        }
+        if (!isIndex(q.correct, q.options.length)) {
+            add('error', sid, qid, 'correct-range', 'correct (' + JSON.stringify(q.correct) + ') is not an index into ' + q.options.length + ' options');
+        }
+        var seen = {};
+        q.options.forEach(function(opt) {
+            if (seen[opt]) add('warning', sid, qid, 'duplicate-option', 'Option "' + opt + '" appears twice');
+            seen[opt] = true;
+        });
+        if (q.wrongFeedback) {
+            if (q.wrongFeedback.length !== q.options.length) {
+                add('warning', sid, qid, 'feedback-length', 'wrongFeedback has ' + q.wrongFeedback.length + ' entries for ' + q.options.length + ' options');
+            } else if (isIndex(q.correct, q.options.length) && q.wrongFeedback[q.correct]) {
+                add('warning', sid, qid, 'feedback-misaligned', 'wrongFeedback has text for the correct option, so it is probably out of order');
+            }
+        }
+    }
+
+    // checkAnswer compares the picked index with correct: 0 = True, 1 = False.
+    // Older files use true/false, which displayQuestion turns into 0/1.
+    function checkTrueFalse(q, add) {
+        if (q.correct !== 0 && q.correct !== 1 && typeof q.correct !== 'boolean') {
+            add('error', q.storyId, q.id, 'truefalse-correct', 'correct is ' + JSON.stringify(q.correct) + '; true/false answers must be 0 (True), 1 (False), true or false or they are never marked right');
+        }
+    }
+
+    function checkFillBlank(q, add) {
+        var sid = q.storyId, qid = q.id;
+        if (q.words && q.words.length > 0) {
+            if (q.words.indexOf(q.correct) < 0) add('error', sid, qid, 'fillblank-correct', 'correct "' + q.correct + '" is not one of the word choices');
+        } else if (q.options && q.options.length > 0) {
+            if (!isIndex(q.correct, q.options.length)) add('error', sid, qid, 'correct-range', 'correct (' + JSON.stringify(q.correct) + ') is not an index into ' + q.options.length + ' options');
+        } else {
+            add('error', sid, qid, 'fillblank-choices', 'Fill-in-the-blank needs words or options');
+        }
+        if (isNonEmptyString(q.question) && q.question.indexOf('_') < 0) add('warning', sid, qid, 'fillblank-blank', 'Prompt has no blank (_____)');
+    }
+
+    function checkSequence(q, add) {
+        var sid = q.storyId, qid = q.id;
+        if (!q.items) {
+            if (q.options) {
+                add('warning', sid, qid, 'sequence-items', 'Sequence has options instead of items, so it is shown as plain multiple choice');
+                checkMultiple(q, add);
+            } else {
+                add('error', sid, qid, 'sequence-items', 'Sequence needs items');
+            }
+            return;
+        }
+        if (q.items.length < 2) add('error', sid, qid, 'sequence-items', 'Sequence needs at least two items');
+        if (q.correct === undefined) {
+            add('info', sid, qid, 'sequence-order', 'No correct order given; items are assumed to be in order');
+            return;
+        }
+        var sorted = (q.correct || []).slice().sort(function(a, b) { return a - b; });
+        var isPermutation = sorted.length === q.items.length && sorted.every(function(v, i) { return v === i; });
+        if (!isPermutation) add('error', sid, qid, 'sequence-order', 'correct ' + JSON.stringify(q.correct) + ' is not an ordering of the ' + q.items.length + ' items');
+    }
+
+    function checkMatching(q, add) {
+        var sid = q.storyId, qid = q.id;
+        if (!q.pairs || q.pairs.length < 2) {
+            add('error', sid, qid, 'matching-pairs', 'Matching needs at least two pairs');
+            return;
+        }
+        var rights = {};
+        q.pairs.forEach(function(pair, i) {
+            if (!pair || pair.length !== 2 || !isNonEmptyString(pair[0]) || !isNonEmptyString(pair[1])) {
+                add('error', sid, qid, 'matching-pairs', 'Pair ' + (i + 1) + ' should be [left, right]');
+                return;
+            }
+            if (rights[pair[1]]) add('warning', sid, qid, 'matching-duplicate', '"' + pair[1] + '" is the answer for more than one pair');
+            rights[pair[1]] = true;
+        });
+    }
+
+    // The POS games split the sentence on single spaces, so answer keys are
+    // indexes into sentence.split(' ')
+    function checkHighlight(q, add) {
+        var sid = q.storyId, qid = q.id;
+        if (!isNonEmptyString(q.sentence)) {
+            add('error', sid, qid, 'highlight-sentence', 'Highlight question needs a sentence');
+            return;
+        }
+        var keys = Object.keys(q.answers || {});
+        if (keys.length === 0) {
+            add('error', sid, qid, 'highlight-answers', 'Highlight question has no answers');
+            return;
+        }
+        var words = q.sentence.split(' ');
+        keys.forEach(function(key) {
+            var idx = Number(key);
+            var pos = q.answers[key];
+            if (!isIndex(idx, words.length)) {
+                add('error', sid, qid, 'highlight-index', 'Answer index ' + key + ' is past the end of the sentence (' + words.length + ' words)');
+                return;
+            }
+            if (!/[A-Za-z]/.test(words[idx])) add('warning', sid, qid, 'highlight-word', 'Answer index ' + key + ' points at "' + words[idx] + '", which is not a word');
+            if (PARTS_OF_SPEECH.indexOf(pos) < 0) add('warning', sid, qid, 'highlight-pos', 'Unknown part of speech "' + pos + '" for "' + words[idx] + '"');
+        });
+    }
+
+    function buildReport(issues, storyCount, questionCount) {
+        var counts = { error: 0, warning: 0, info: 0 };
+        var byStory = {};
+        issues.forEach(function(issue) {
+            counts[issue.severity]++;
+            var key = issue.storyId === undefined || issue.storyId === null ? 'general' : String(issue.storyId);
+            (byStory[key] = byStory[key] || []).push(issue);
+        });
+        var storyIds = Object.keys(byStory).sort(function(a, b) {
+            if (a === 'general') return -1;
+            if (b === 'general') return 1;
+            return Number(a) - Number(b);
+        });
+        storyIds.forEach(function(key) {
+            byStory[key].sort(function(a, b) {
+                return SEVERITIES.indexOf(a.severity) - SEVERITIES.indexOf(b.severity);
+            });
+        });
+        return {
+            checkedStories: storyCount,
+            checkedQuestions: questionCount,
+            counts: counts,
+            issues: issues,
+            byStory: byStory,
+            storyIds: storyIds
+        };
+    }
+
+    // options: { minSeverity: 'error'|'warning'|'info', storyTitles: { id: title } }
+    function formatReport(report, options) {
+        options = options || {};
+        var maxRank = SEVERITIES.indexOf(options.minSeverity || 'info');
+        var titles = options.storyTitles || {};
+        var labels = { error: 'ERROR', warning: 'WARN ', info: 'INFO ' };
+        var lines = [];
+        lines.push('Checked ' + report.checkedStories + ' stories and ' + report.checkedQuestions + ' questions: ' +
+            report.counts.error + ' errors, ' + report.counts.warning + ' warnings, ' + report.counts.info + ' notes');
+
+        report.storyIds.forEach(function(key) {
+            var shown = report.byStory[key].filter(function(issue) {
+                return SEVERITIES.indexOf(issue.severity) <= maxRank;
+            });
+            if (shown.length === 0) return;
+            lines.push('');
+            lines.push(key === 'general' ? 'General' : 'Story ' + key + (titles[key] ? ' — ' + titles[key] : ''));
+            shown.forEach(function(issue) {
+                var where = issue.questionId !== null && issue.questionId !== undefined ? 'Q' + issue.questionId + ' ' : '';
+                lines.push('  ' + labels[issue.severity] + ' ' + where + '[' + issue.code + '] ' + issue.message);
+            });
+        });
+        return lines.join('\n');
+    }
+
+    return {
+        SEVERITIES: SEVERITIES,
+        validate: validate,
+        formatReport: formatReport
+    };
+})();
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ContentValidator;
+}
@@ -3,7 +3,11 @@
 // ========================================
 // Self-initializing module that hooks into the existing
 // ReadingQuest app to track student focus during practice.
-// Exposes global FocusMonitor with start(), stop(), getStats().
+// Exposes global FocusMonitor with start(), stop(), getStats(),
+// setIdleThreshold(), resetIdle(), setPhase(), setPolicy() and getPolicy().
+// The app names the current phase ('vocab', 'reading', 'questions') so
+// events and off-tab counts can be broken down by what the student was
+// doing. A policy (see DEFAULT_POLICY) tunes the monitor per student.
 // ========================================
 
 var FocusMonitor = (function() {
@@ -17,6 +21,26 @@ var FocusMonitor = (function() {
     var tickInterval = null;
     var idleTimeout = null;
     var IDLE_THRESHOLD = 30;  // seconds before idle prompt
+    var appThreshold = 30;    // the app's own wait for the current phase
+
+    // idleThresholds: seconds per phase, 0 = use the app's wait.
+    // fullIdleAfter: the full idle modal follows the nudge after this many
+    //   more idle waits; 0 = nudge only.
+    // tabAway: 'pause' stops the reading timer while away; 'invalidate'
+    //   throws the reading attempt away (via the app's invalidateReadingAttempt()).
+    // streakMilestones: active-streak lengths (seconds) that get a toast.
+    // gentle: for attention accommodations; doubles every wait, never shows
+    //   the full idle modal and never asks for fullscreen.
+    var DEFAULT_POLICY = {
+        idleThresholds: { vocab: 0, reading: 0, questions: 0 },
+        fullIdleAfter: 2,
+        forceFullscreen: true,
+        tabAway: 'pause',
+        streakMilestones: [180, 300, 600],
+        gentle: false
+    };
+    var GENTLE_THRESHOLD_FACTOR = 2;
+    var policy = copyPolicy(DEFAULT_POLICY);
 
     var isOffTab = false;
     var isIdle = false;
@@ -24,6 +48,7 @@ var FocusMonitor = (function() {
     var idleStart = 0;
 
     var eventLog = [];
+    var phase = '';           // set by the app through setPhase()
 
     var idleStage = 0;        // 0=active, 1=nudge, 2=full idle
     var stage2Timeout = null;
@@ -145,7 +170,7 @@ var FocusMonitor = (function() {
     // ========================================
 
     function checkStreakMilestone() {
-        var milestones = [180, 300, 600]; // 3min, 5min, 10min
+        var milestones = policy.streakMilestones;
         for (var i = 0; i < milestones.length; i++) {
             if (streakSeconds === milestones[i] && !milestonesShown[milestones[i]]) {
                 milestonesShown[milestones[i]] = true;
@@ -280,11 +305,14 @@ var FocusMonitor = (function() {
         if (widget) widget.classList.add('nudge');
         logEvent('nudge_start');
 
-        // Schedule stage 2 if no activity within IDLE_THRESHOLD * 2 more seconds
-        stage2Timeout = setTimeout(function() {
-            if (!active || isOffTab) return;
-            showFullIdle();
-        }, IDLE_THRESHOLD * 2 * 1000);
+        // Schedule stage 2 if no activity within IDLE_THRESHOLD * fullIdleAfter more seconds
+        var fullIdleAfter = policy.gentle ? 0 : policy.fullIdleAfter;
+        if (fullIdleAfter > 0) {
+            stage2Timeout = setTimeout(function() {
+                if (!active || isOffTab) return;
+                showFullIdle();
+            }, IDLE_THRESHOLD * fullIdleAfter * 1000);
+        }
     }
 
     function showFullIdle() {
@@ -355,7 +383,12 @@ var FocusMonitor = (function() {
     function pauseAppTimer() {
         // Save whether the app timer was running so we only resume if it was
         wasTimerRunning = typeof timerRunning !== 'undefined' && timerRunning;
-        if (wasTimerRunning) {
+        if (wasTimerRunning && policy.tabAway === 'invalidate' && typeof invalidateReadingAttempt === 'function') {
+            // The attempt is thrown away, so there is no timer to resume
+            wasTimerRunning = false;
+            invalidateReadingAttempt();
+            logEvent('attempt_invalidated');
+        } else if (wasTimerRunning) {
             if (typeof timerInterval !== 'undefined' && timerInterval) {
                 clearInterval(timerInterval);
                 timerInterval = null;
@@ -453,12 +486,16 @@ var FocusMonitor = (function() {
         if (fullscreenPrompt) fullscreenPrompt.classList.remove('visible');
     }
 
+    function fullscreenRequired() {
+        return policy.forceFullscreen && !policy.gentle;
+    }
+
     function onFullscreenChange() {
         if (!active) return;
         var isFS = !!(document.fullscreenElement || document.webkitFullscreenElement || document.msFullscreenElement);
         if (!isFS) {
             // User exited fullscreen during practice
-            if (fullscreenPrompt) fullscreenPrompt.classList.add('visible');
+            if (fullscreenPrompt && fullscreenRequired()) fullscreenPrompt.classList.add('visible');
             logEvent('fullscreen_exit');
         } else {
             if (fullscreenPrompt) fullscreenPrompt.classList.remove('visible');
@@ -474,7 +511,8 @@ var FocusMonitor = (function() {
         eventLog.push({
             type: type,
             time: new Date().toISOString(),
-            elapsed: totalElapsed
+            elapsed: totalElapsed,
+            phase: phase
         });
     }
 
@@ -498,6 +536,9 @@ var FocusMonitor = (function() {
         wasSpeechActive = false;
         wasSpeechActiveIdle = false;
         eventLog = [];
+        phase = '';
+        appThreshold = 30;
+        applyIdleThreshold();
 
         // Reset two-stage idle and streak state
         idleStage = 0;
@@ -525,7 +566,7 @@ var FocusMonitor = (function() {
         resetIdleTimer();
 
         // Request fullscreen
-        requestFullscreen();
+        if (fullscreenRequired()) requestFullscreen();
 
         logEvent('monitor_start');
     }
@@ -577,6 +618,18 @@ var FocusMonitor = (function() {
 
     function getStats() {
         var score = totalElapsed > 0 ? Math.round((activeTime / totalElapsed) * 100) : 100;
+        var firstIdleAt = null;
+        var offTabEvents = 0;
+        var offTabByPhase = {};
+        for (var i = 0; i < eventLog.length; i++) {
+            var ev = eventLog[i];
+            if (ev.type === 'nudge_start' && firstIdleAt === null) firstIdleAt = ev.elapsed;
+            if (ev.type === 'tab_away') {
+                offTabEvents++;
+                var key = ev.phase || 'other';
+                offTabByPhase[key] = (offTabByPhase[key] || 0) + 1;
+            }
+        }
         return {
             activeTime: activeTime,
             idleTime: idleTime,
@@ -585,24 +638,82 @@ var FocusMonitor = (function() {
             longestStreak: longestStreak,
             idleEvents: idleEvents,
             nudgeEvents: nudgeEvents,
+            totalElapsed: totalElapsed,
+            firstIdleAt: firstIdleAt,       // seconds in when the first nudge appeared, or null
+            offTabEvents: offTabEvents,
+            offTabByPhase: offTabByPhase,
             eventLog: eventLog.slice()
         };
     }
 
     function setIdleThreshold(seconds) {
-        IDLE_THRESHOLD = seconds;
+        appThreshold = seconds;
+        applyIdleThreshold();
         resetIdleTimer();
     }
 
+    // The policy's wait for this phase wins over the app's; gentle mode doubles it
+    function applyIdleThreshold() {
+        var seconds = policy.idleThresholds[phase] || appThreshold;
+        IDLE_THRESHOLD = policy.gentle ? seconds * GENTLE_THRESHOLD_FACTOR : seconds;
+    }
+
     function resetIdle() {
         resetIdleTimer();
     }
 
+    function setPhase(name) {
+        if (name === phase) return;
+        phase = name;
+        applyIdleThreshold();
+        if (active) {
+            logEvent('phase_change');
+            resetIdleTimer();
+        }
+    }
+
+    function copyPolicy(source) {
+        var thresholds = {};
+        for (var key in source.idleThresholds) thresholds[key] = source.idleThresholds[key];
+        return {
+            idleThresholds: thresholds,
+            fullIdleAfter: source.fullIdleAfter,
+            forceFullscreen: source.forceFullscreen,
+            tabAway: source.tabAway,
+            streakMilestones: source.streakMilestones.slice(),
+            gentle: source.gentle
+        };
+    }
+
+    // Fields left out keep their defaults; takes effect straight away
+    function setPolicy(options) {
+        options = options || {};
+        policy = copyPolicy(DEFAULT_POLICY);
+        for (var key in options) {
+            if (key === 'idleThresholds') {
+                for (var p in options.idleThresholds) policy.idleThresholds[p] = options.idleThresholds[p];
+            } else if (key === 'streakMilestones') {
+                policy.streakMilestones = options.streakMilestones.slice();
+            } else if (policy.hasOwnProperty(key)) {
+                policy[key] = options[key];
+            }
+        }
+        applyIdleThreshold();
+        resetIdleTimer();
+    }
+
+    function getPolicy() {
+        return copyPolicy(policy);
+    }
+
     return {
         start: start,
         stop: stop,
         getStats: getStats,
         setIdleThreshold: setIdleThreshold,
-        resetIdle: resetIdle
+        resetIdle: resetIdle,
+        setPhase: setPhase,
+        setPolicy: setPolicy,
+        getPolicy: getPolicy
     };
 })();
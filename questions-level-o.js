@@ -1,5 +1,7 @@
 // Level O Questions (storyIds 147-157) - Real, story-specific comprehension questions
 
+ContentRegistry.register('questions-level-o.js', {
+    questions: [
 // Story 147: River Rapids (O) - Fiction
 // IDs 2831-2842
             { id: 2831, storyId: 147, category: "theme", type: "multiple", question: "What is the main theme of 'River Rapids'?", options: ["Working together and trusting each other to overcome challenges", "The importance of wearing life jackets while canoeing", "Learning to swim in rough water", "Why rivers are dangerous places to visit"], correct: 0, hint: "Think about how Marcus and Destiny got through the rapids.", explanation: "The story shows that teamwork and trust helped Marcus and Destiny survive the dangerous rapids!" },
@@ -164,3 +166,5 @@
             { id: 2960, storyId: 157, category: "author_purpose", type: "multiple", question: "Why did the author include the example of the Golden Gate Bridge?", options: ["To argue that San Francisco has the best bridges", "To provide a familiar, real-world example that helps readers understand suspension bridges", "To compare California bridges to bridges in other states", "To explain why all bridges should be painted red"], correct: 1, hint: "How does mentioning a famous bridge help the reader?", explanation: "The Golden Gate Bridge is a well-known example that helps readers visualize and understand how suspension bridges work!" },
             { id: 2961, storyId: 157, category: "text_structure", type: "multiple", question: "How is 'How Bridges Are Built' organized?", options: ["As a story about building one specific bridge", "By describing different bridge types and then explaining the factors engineers consider", "As a timeline of bridge construction throughout history", "As a debate about which bridge type is best"], correct: 1, hint: "Notice how the passage moves from bridge types to engineering considerations.", explanation: "The passage first describes three bridge types (beam, arch, suspension), then explains the factors engineers must consider when designing any bridge!" },
             { id: 2962, storyId: 157, category: "grammar", type: "highlight", question: "Identify the parts of speech for the highlighted words.", sentence: "Engineers carefully design strong bridges for busy communities.", answers: {"0": "noun", "1": "adverb", "2": "verb", "3": "adjective", "4": "noun"}, hint: "Look for who does the action, how they do it, the action itself, and what describes the things.", explanation: "Engineers is a noun (people), carefully is an adverb (how they design), design is a verb (action), strong is an adjective (describes bridges), and bridges is a noun (things)!" },
+    ]
+});
@@ -1,6 +1,7 @@
 // Level P Questions (Stories 158-169) - Real, story-specific comprehension questions
-// Replace placeholder questions in app.js with these
 
+ContentRegistry.register('questions-level-p.js', {
+    questions: [
 // Story 158: Shadows in the Library (P) - Fiction
             { id: 2963, storyId: 158, category: "theme", type: "multiple", question: "What is the main theme of 'Shadows in the Library'?", options: ["Libraries should be renovated more often", "Mysterious events are always frightening", "Old books are more valuable than new ones", "The importance of uncovering hidden truths and making past wrongs right"], correct: 3, hint: "Think about what Whitmore's confession was meant to accomplish.", explanation: "The story is about how a hidden truth about stolen credit was finally revealed and made right through Priya's discovery!", wrongFeedback: ["Renovation isn't the focus of this story.", "The story treats the mysterious events as leading toward justice, not something to fear.", "The value of the books isn't the deeper message.", ""] },
             { id: 2964, storyId: 158, category: "inference", type: "multiple", question: "Why do you think the disturbances in the library stopped after Priya delivered the confession?", options: ["Mrs. Chen fixed the faulty wiring", "The library was closed for repairs", "Whatever mysterious force was at work was satisfied that the truth had been revealed", "The books were moved to a different shelf"], correct: 2, hint: "What did the final page of the confession ask someone to do?", explanation: "The presence seemed to want the truth about Margaret Hayes to be told, and once Priya delivered the confession, its purpose was fulfilled!", wrongFeedback: ["Mrs. Chen dismissed the events as wiring issues, but that wasn't the real cause.", "The library wasn't closed — the disturbances simply stopped.", "", "Moving books wouldn't explain why the mysterious events ceased."] },
@@ -168,3 +169,5 @@
             { id: 3104, storyId: 169, category: "author_purpose", type: "multiple", question: "Why did the author include the detail that volunteers report feeling happier and more confident?", options: ["To make readers feel guilty for not volunteering", "To show that volunteering benefits the helpers too, not just the community", "To prove that volunteering is easy", "To compare volunteering to other hobbies"], correct: 1, hint: "Why mention the benefits to volunteers themselves?", explanation: "The author includes this to show that volunteering is a two-way benefit -- it helps communities AND makes the volunteers happier, more connected, and more confident!", wrongFeedback: ["The purpose is to inspire, not create guilt.", "", "The passage doesn't claim volunteering is easy.", "No comparison to other hobbies is made."] },
             { id: 3105, storyId: 169, category: "text_structure", type: "multiple", question: "How is this passage organized?", options: ["As a personal story about one volunteer", "By describing different types of volunteer organizations (food banks, animal shelters, gardens) and then discussing the benefits of volunteering", "As a debate about whether volunteering matters", "In chronological order from oldest to newest volunteer programs"], correct: 1, hint: "What topics does the passage cover in order?", explanation: "The passage is organized by topic: first food banks, then animal shelters, then community gardens, and finally the benefits that volunteering provides to helpers!", wrongFeedback: ["No personal story is told -- it's an informational overview.", "", "The passage presents information, not a debate.", "The passage is organized by type of volunteering, not by time."] },
             { id: 3106, storyId: 169, category: "grammar", type: "highlight", question: "Identify the parts of speech for the highlighted words.", sentence: "Volunteers sort donated groceries and distribute fresh meals.", answers: {"0": "noun", "1": "verb", "2": "adjective", "3": "noun", "5": "verb", "6": "adjective", "7": "noun"}, hint: "Look for who does the action, what the actions are, and what describes the things.", explanation: "Volunteers is a noun (subject), sort is a verb (action), donated is an adjective (describes groceries), groceries is a noun (thing), distribute is a verb (action), fresh is an adjective (describes meals), and meals is a noun (thing)!" },
+    ]
+});
@@ -1,7 +1,8 @@
 // LEVEL Q QUESTIONS - Stories 170-181
-// Replace placeholder questions IDs 3107-3250 (storyId 170-181)
-// Lines approximately 10838-10981 in app.js
+// Question IDs 3107-3250 (storyId 170-181)
 
+ContentRegistry.register('questions-level-q.js', {
+    questions: [
             // LEVEL Q FICTION (Stories 170-175)
             { id: 3107, storyId: 170, category: "theme", type: "multiple", question: "What is the main message of this story?", options: ["Art is not worth preserving", "Communities will work together to protect what they value", "Murals should never be painted on buildings", "Police should solve all mysteries"], correct: 1, hint: "What did the community do when the mural was threatened?", explanation: "The community secretly rescued the mural to preserve it!", wrongFeedback: ["The opposite is true.", "", "The mural was beloved.", "Camila solved it."] },
             { id: 3108, storyId: 170, category: "story", type: "multiple", question: "How did the mural disappear?", options: ["It was painted over", "Community members secretly removed it panel by panel", "It was damaged by weather", "The building was demolished"], correct: 1, hint: "What did the note in the gallery explain?", explanation: "Community members removed the mural panel by panel to preserve it!", wrongFeedback: ["It wasn't painted over.", "", "Not weather damage.", "Building still stood."] },
@@ -159,3 +160,5 @@
             { id: 3248, storyId: 181, category: "inference", type: "truefalse", question: "Being kind online is only about being polite in messages.", correct: 1, hint: "Does the passage mention other aspects besides polite messages?", explanation: "False! The passage shows digital citizenship includes protecting privacy, evaluating information, understanding your digital footprint, and more -- not just being polite.", wrongFeedback: ["", "It includes privacy, critical thinking, and more."] },
             { id: 3249, storyId: 181, category: "summary", type: "multiple", question: "What do digital literacy programs teach students?", options: ["Only how to type faster", "How to evaluate information, communicate respectfully, and understand their digital footprint", "Only how to use social media", "Only how to avoid the internet"], correct: 1, hint: "What three skills does the passage mention?", explanation: "Digital literacy programs teach students to evaluate online information, communicate respectfully, and understand their digital footprint!", wrongFeedback: ["Much more than typing.", "", "Much broader than social media.", "The passage encourages responsible use, not avoidance."] },
             { id: 3250, storyId: 181, category: "story", type: "multiple", question: "According to the passage, what should responsible internet users never do?", options: ["Use the internet for research", "Share someone else's personal information, photos, or messages without permission", "Create strong passwords", "Post publicly on social media"], correct: 1, hint: "What rule about privacy does the passage emphasize?", explanation: "Responsible internet users never share someone else's personal information, photos, or messages without that person's permission!", wrongFeedback: ["Research is encouraged.", "", "Strong passwords are recommended.", "Public posting is fine when done thoughtfully."] },
+    ]
+});
@@ -1,7 +1,8 @@
 // LEVEL R QUESTIONS - Stories 182-193
-// Replace placeholder questions IDs 3251-3394 (storyId 182-193)
-// Lines approximately 10982-11125 in app.js
+// Question IDs 3251-3394 (storyId 182-193)
 
+ContentRegistry.register('questions-level-r.js', {
+    questions: [
             // LEVEL R FICTION (Stories 182-187)
             { id: 3251, storyId: 182, category: "theme", type: "multiple", question: "What is the main theme of 'The Lighthouse Engineer'?", options: ["Old buildings should always be torn down and replaced", "The best engineering preserves what matters while adapting it for the future", "Lighthouses are no longer useful in the modern world", "Students cannot contribute meaningfully to real engineering projects"], correct: 1, hint: "Think about what Zara learns about engineering by the end of the story.", explanation: "Zara discovers that the best engineering doesn't just build new things -- it preserves what matters while adapting it for modern needs!" },
             { id: 3252, storyId: 182, category: "inference", type: "multiple", question: "Why did the preservation society want the exterior to look exactly as it had in the 1890s?", options: ["Modern designs would be too expensive", "The historical appearance was valued as part of the community's heritage and identity", "They could not find modern building materials", "The original design was more structurally sound than modern designs"], correct: 1, hint: "Think about why people preserve historical buildings.", explanation: "The society valued the lighthouse's historical appearance as part of the community's heritage, which is why they wanted to maintain its original look while updating the interior!" },
@@ -147,15 +148,17 @@
             { id: 3381, storyId: 192, category: "summary", type: "multiple", question: "What physical changes occur in the heart when athletes train consistently?", options: ["The heart gets smaller", "Heart chambers enlarge, pumping more fluid with each beat", "The heart beats faster at rest", "No changes occur in the heart"], correct: 1, hint: "How does the heart adapt to regular exercise?", explanation: "Heart chambers enlarge through training, allowing the heart to pump more with each beat!", wrongFeedback: ["It gets larger.", "", "Trained hearts are more efficient.", "The heart definitely changes."] },
             { id: 3382, storyId: 192, category: "story", type: "multiple", question: "Why do sports nutritionists design customized meal plans?", options: ["To make food taste better", "Because different sports have different energy and nutrient demands", "Because all athletes eat the same foods", "To save money on groceries"], correct: 1, hint: "Why would a swimmer's diet differ from a sprinter's?", explanation: "Different sports place different demands on the body, requiring customized nutrition to fuel each sport's specific needs!", wrongFeedback: ["About performance needs.", "", "Needs vary greatly.", "About fueling performance."] },
 
-            { id: 3383, storyId: 193, category: "theme", type: "multiple", question: "What is the main idea of this passage?", options: ["Wealth inequality doesn't matter", "Growing wealth concentration harms economies, democracy, and social mobility, requiring societal response", "Everyone is equally wealthy", "The wealth gap is shrinking"], correct: 1, hint: "What are the consequences of the growing wealth gap?", explanation: "The passage argues inequality affects economics, democracy, social mobility, and well-being, demanding solutions!", wrongFeedback: ["It has serious effects.", "", "Far from equal.", "It's growing."] },
-            { id: 3384, storyId: 193, category: "story", type: "multiple", question: "How much has CEO compensation grown since 1978?", options: ["50%", "200%", "Over 1,000%", "12%"], correct: 2, hint: "Compare CEO pay growth to worker pay growth.", explanation: "CEO compensation has grown over 1,000% since 1978, while typical worker pay increased only 12%!", wrongFeedback: ["Much more.", "Even more.", "", "That's worker pay growth."] },
-            { id: 3385, storyId: 193, category: "vocab", type: "multiple", question: "What does 'disproportionately' mean?", options: ["Equally and fairly", "To an unequal or unfair degree", "Slightly and minimally", "Randomly and unpredictably"], correct: 1, hint: "Technology rewards highly skilled workers much more than others.", explanation: "Disproportionately means to an extent that is too large or too small compared to what is fair!", wrongFeedback: ["About unfair distribution.", "", "Significantly unequal.", "Unbalanced."] },
-            { id: 3386, storyId: 193, category: "story", type: "multiple", question: "What four factors drive increasing inequality?", options: ["Crime, corruption, laziness, and bad luck", "Technology, globalization, tax policies, and inheritance", "Weather, geography, language, and culture", "Education, healthcare, housing, and transportation"], correct: 1, hint: "What structural causes does the passage identify?", explanation: "Technology rewarding skilled workers, globalization, shifting tax burdens, and inheritance all drive inequality!", wrongFeedback: ["Structural factors.", "", "Economic forces.", "Systemic causes."] },
-            { id: 3387, storyId: 193, category: "inference", type: "multiple", question: "Why does the passage say inequality reduces social trust?", options: ["Rich people are untrustworthy", "When wealth concentrates, people feel the system is unfair, eroding trust in institutions and each other", "Poor people are suspicious", "Trust has nothing to do with money"], correct: 1, hint: "What does research correlate with inequality?", explanation: "When people see extreme wealth gaps, they lose faith in the fairness of systems, reducing trust across society!", wrongFeedback: ["About systemic fairness.", "", "About system perception.", "About perceived fairness."] },
-            { id: 3388, storyId: 193, category: "summary", type: "multiple", question: "What striking wealth statistic does the passage share about the top 1%?", options: ["They pay the most taxes", "The top 1% owns more wealth than the entire middle class combined", "They donate the most to charity", "They employ the most workers"], correct: 1, hint: "How does the top 1% compare to the middle class?", explanation: "The top 1% of US households now owns more wealth than the entire middle class combined!", wrongFeedback: ["About wealth concentration.", "", "About ownership.", "About the wealth gap."] },
-            { id: 3389, storyId: 193, category: "vocab", type: "multiple", question: "What does 'contentious' mean?", options: ["Easy and simple", "Causing or likely to cause disagreement and argument", "Boring and unimportant", "Universally agreed upon"], correct: 1, hint: "Solutions to inequality cause much debate.", explanation: "Contentious means likely to provoke heated argument or disagreement!", wrongFeedback: ["Highly debated.", "", "Very controversial.", "Disagreement-causing."] },
-            { id: 3390, storyId: 193, category: "context", type: "multiple", question: "What three proposed solutions does the passage discuss?", options: ["Charity, volunteering, and community service", "Progressive taxation, universal basic income, and education investment", "Printing more money, price controls, and rationing", "Immigration, trade, and diplomacy"], correct: 1, hint: "What approaches to reducing inequality are mentioned?", explanation: "The passage discusses progressive taxation, universal basic income, and education/job training investment!", wrongFeedback: ["Policy solutions.", "", "Government approaches.", "Economic policies."] },
-            { id: 3391, storyId: 193, category: "grammar", type: "multiple", question: "In 'Wealth has concentrated increasingly among the richest segments,' what is 'increasingly'?", options: ["A noun", "A verb", "An adjective", "An adverb"], correct: 3, hint: "How has wealth concentrated?", explanation: "Increasingly is an adverb describing the growing degree of wealth concentration!", wrongFeedback: ["Not a thing.", "Not an action.", "Not describing a noun.", ""] },
-            { id: 3392, storyId: 193, category: "inference", type: "truefalse", question: "The passage argues there is one clear solution to wealth inequality.", correct: 1, hint: "How does the passage describe the proposed solutions?", explanation: "False! The passage describes solutions as 'contentious' and notes drawbacks to each proposal, showing no easy answer.", wrongFeedback: ["", "Each solution has trade-offs."] },
-            { id: 3393, storyId: 193, category: "summary", type: "multiple", question: "How has typical worker pay changed since 1978?", options: ["It doubled", "It increased by only 12%", "It stayed the same", "It decreased"], correct: 1, hint: "Compare this to CEO compensation growth.", explanation: "Typical worker pay increased only 12% since 1978, compared to CEO pay growing over 1,000%!", wrongFeedback: ["Much less growth.", "", "It did increase slightly.", "Slight increase."] },
-            { id: 3394, storyId: 193, category: "story", type: "multiple", question: "What consequence does inequality have on children's upward mobility?", options: ["No effect", "Children born into poor families have significantly reduced chances of upward mobility", "Children do better when there's inequality", "Mobility has increased"], correct: 1, hint: "How does inequality affect the next generation?", explanation: "Children born poor now have significantly fewer chances of moving up compared to previous generations!", wrongFeedback: ["A serious effect.", "", "The opposite.", "It has decreased."] },
+            { id: 3383, storyId: 193, category: "theme", type: "multiple", question: "What is the main idea of this passage?", options: ["Weather forecasts are always wrong", "Forecasters combine worldwide observations, supercomputer models, and science to predict the weather, though the atmosphere limits how far ahead they can see", "Satellites are the only tool meteorologists need", "Farmers invented weather forecasting"], correct: 1, hint: "Think about the whole passage: how forecasts are made and how good they are.", explanation: "The passage explains how data and computer models produce forecasts, how accuracy has improved, and why forecasts beyond about ten days remain unreliable!", wrongFeedback: ["Accuracy has improved steadily.", "", "Many tools are used.", "The passage doesn't say who invented it."] },
+            { id: 3384, storyId: 193, category: "story", type: "multiple", question: "What do ground-based weather stations measure?", options: ["Only rainfall", "Cloud patterns from space", "Temperature, humidity, air pressure, and wind speed", "Ocean temperatures"], correct: 2, hint: "Look at the sentence about thousands of ground-based stations.", explanation: "Weather stations continuously measure temperature, humidity, air pressure, and wind speed!", wrongFeedback: ["They measure more than rain.", "Satellites do that.", "", "Satellites measure ocean temperatures."] },
+            { id: 3385, storyId: 193, category: "vocab", type: "multiple", question: "What are 'radiosondes'?", options: ["Instruments carried by weather balloons that measure conditions at different altitudes", "Radio stations that broadcast forecasts", "Computers that run weather models", "Ocean buoys"], correct: 0, hint: "The passage says weather balloons carry them.", explanation: "Radiosondes are instruments on weather balloons that measure atmospheric conditions high above the ground!", wrongFeedback: ["", "They measure, not broadcast.", "Supercomputers run the models.", "Buoys float on the ocean."] },
+            { id: 3386, storyId: 193, category: "story", type: "multiple", question: "How do numerical weather prediction models work?", options: ["They copy yesterday's weather", "They divide the atmosphere into grid cells and use physics equations to calculate how each cell will change", "They ask meteorologists to guess", "They only use satellite photos"], correct: 1, hint: "Read about the three-dimensional grid cells.", explanation: "The models split the atmosphere into three-dimensional grid cells and calculate changes using equations for air movement, moisture, and energy!", wrongFeedback: ["They calculate, not copy.", "", "They use mathematics.", "They use all the collected data."] },
+            { id: 3387, storyId: 193, category: "inference", type: "multiple", question: "Why can't forecasts beyond about ten days be trusted?", options: ["Supercomputers stop working after ten days", "Meteorologists stop collecting data", "The atmosphere is chaotic, so tiny differences in starting conditions grow into very different outcomes", "Weather balloons only fly for ten days"], correct: 2, hint: "What did Edward Lorenz discover?", explanation: "Because the atmosphere is chaotic, small errors in the starting data grow over time until long-range forecasts become unreliable!", wrongFeedback: ["The computers keep running.", "Data collection never stops.", "", "Balloons are released twice daily."] },
+            { id: 3388, storyId: 193, category: "summary", type: "multiple", question: "How much has forecast accuracy improved?", options: ["Today's five-day forecast is as accurate as a three-day forecast was twenty years ago", "Forecasts are now perfect", "It has not improved at all", "Ten-day forecasts are now completely reliable"], correct: 0, hint: "Find the comparison between five-day and three-day forecasts.", explanation: "Accuracy has improved so much that a five-day forecast today matches a three-day forecast from twenty years ago!", wrongFeedback: ["", "The atmosphere still limits forecasts.", "The passage says it improved steadily.", "Beyond about ten days, forecasts remain unreliable."] },
+            { id: 3389, storyId: 193, category: "vocab", type: "multiple", question: "What does 'chaotic' mean in 'the atmosphere is chaotic'?", options: ["Calm and predictable", "Very cold", "Easy to measure", "Behaving in a way where small changes lead to very different results"], correct: 3, hint: "The passage explains the meaning right after the word.", explanation: "Chaotic means tiny differences in starting conditions can lead to dramatically different outcomes over time!", wrongFeedback: ["The opposite is true.", "It's about behavior, not temperature.", "It's hard to predict.", ""] },
+            { id: 3390, storyId: 193, category: "context", type: "multiple", question: "Which sources add observations besides weather stations, balloons, and satellites?", options: ["Schools, libraries, and museums", "Ships, aircraft, and ocean buoys", "Farmers, pilots, and event planners", "Trains, buses, and cars"], correct: 1, hint: "Look for the sentence about additional observations.", explanation: "Ships, aircraft, and ocean buoys contribute additional weather observations!", wrongFeedback: ["Not mentioned as data sources.", "", "They use forecasts.", "Not mentioned in the passage."] },
+            { id: 3391, storyId: 193, category: "grammar", type: "multiple", question: "In 'Weather stations measure temperature continuously,' what is 'continuously'?", options: ["A noun", "A verb", "An adjective", "An adverb"], correct: 3, hint: "How do the stations measure?", explanation: "Continuously is an adverb -- it tells how the stations measure!", wrongFeedback: ["Not a thing.", "Not an action.", "Not describing a noun.", ""] },
+            { id: 3392, storyId: 193, category: "inference", type: "truefalse", question: "Weather balloons are released only once a week.", correct: 1, hint: "How often does the passage say balloons are released?", explanation: "False! Weather balloons are released twice daily from stations worldwide.", wrongFeedback: ["", "They go up twice every day."] },
+            { id: 3393, storyId: 193, category: "summary", type: "multiple", question: "Who discovered that the atmosphere's chaos limits how far ahead forecasts can reach?", options: ["A farmer", "Meteorologist Edward Lorenz", "An airline pilot", "A satellite engineer"], correct: 1, hint: "The passage names the scientist.", explanation: "Meteorologist Edward Lorenz discovered this fundamental limit on weather prediction!", wrongFeedback: ["Farmers use forecasts.", "", "Pilots use forecasts.", "The passage names a meteorologist."] },
+            { id: 3394, storyId: 193, category: "story", type: "multiple", question: "How does weather forecasting help people, according to the passage?", options: ["It controls the weather", "It warns of storms in advance and helps farmers, pilots, and event planners make decisions", "It stops storms from forming", "It replaces the need for weather stations"], correct: 1, hint: "Read the last sentence of the passage.", explanation: "Forecasting saves lives by warning of storms and helps many people make informed decisions every day!", wrongFeedback: ["Forecasts predict, not control.", "", "Forecasts can't stop storms.", "Stations supply the data."] },
+    ]
+});
@@ -2,6 +2,8 @@
 // Story 197 (The Puzzle Squad) - remaining 10 questions (theme 3431 and inference 3432 already done in app.js)
 // Stories 198-205 - all 12 questions each
 
+ContentRegistry.register('questions-level-s-remaining.js', {
+    questions: [
 // ========== STORY 197: The Puzzle Squad (remaining 10) ==========
             { id: 3433, storyId: 197, category: "vocabulary", type: "multiple", question: "What does 'systematically' mean in 'Derek worked systematically'?", options: ["Randomly and without order", "In a planned, organized, and methodical way", "Quickly and carelessly", "Secretly and privately"], correct: 1, hint: "Think about how Derek organized information into neat charts.", explanation: "'Systematically' means in a methodical, organized way. Derek approached challenges by organizing information into neat charts rather than guessing!", wrongFeedback: ["Systematically means the opposite of random—it describes organized method.", "", "Systematically means careful and organized, not quick and careless.", "Systematically is about methodology, not secrecy."] },
             { id: 3434, storyId: 197, category: "sequence", type: "multiple", question: "What is the correct order of events in 'The Puzzle Squad'?", options: ["The team wins regionals, then Kira sees the poster, then they practice", "Kira sees the poster, Nadia suggests forming a team, they discover their differences are strengths, they compete at regionals", "They compete at regionals, then assign roles, then create practice puzzles", "Kira forms the team alone, then they immediately win the competition"], correct: 1, hint: "Start with what Kira sees on the bulletin board and follow through to the competition.", explanation: "Kira sees the poster first, Nadia suggests forming a team, their first practice reveals different styles that become strengths, and they compete at the regional competition!", wrongFeedback: ["The competition came at the end, not the beginning.", "", "They assigned roles and practiced before competing.", "Nadia suggested forming the team, and they practiced extensively before competing."] },
@@ -125,3 +127,5 @@
             { id: 3536, storyId: 205, category: "author_purpose", type: "multiple", question: "What is the author's primary purpose in writing this passage?", options: ["To convince readers to become professional chefs", "To inform readers about diverse food traditions and show how geography, climate, and culture shape distinctive cuisines around the world", "To argue that one cuisine is superior to others", "To provide recipes for traditional dishes from four countries"], correct: 1, hint: "Why does the author describe four different food traditions and then connect them at the end?", explanation: "The author informs readers about diverse food traditions to show how geography, climate, and culture produce distinctive cuisines, and how cooking connects people to their heritage!", wrongFeedback: ["The passage is educational about cultural food practices, not career advice.", "", "The passage presents all four cuisines with equal respect and appreciation.", "The passage describes cooking traditions and techniques, not step-by-step recipes."] },
             { id: 3537, storyId: 205, category: "text_structure", type: "multiple", question: "How is this passage primarily organized?", options: ["A chronological timeline of when each cuisine was first developed", "Topical organization presenting four different food traditions from around the world, followed by a concluding theme about cooking as a living art", "A debate about which country has the best food", "A step-by-step guide for preparing each dish"], correct: 1, hint: "Notice how the passage presents each cuisine separately, then draws a conclusion at the end.", explanation: "The passage is organized topically: it presents four cuisines individually (Japan, Italy, Ethiopia, Mexico), then concludes by connecting them through the theme that cooking is a living art!", wrongFeedback: ["The passage doesn't discuss the historical timeline of each cuisine's origin.", "", "The passage celebrates all four cuisines equally without ranking or debating.", "This is informational writing about food traditions, not a cooking guide."] },
             { id: 3538, storyId: 205, category: "grammar", type: "highlight", question: "Identify the parts of speech for the highlighted words.", sentence: "Communities have developed distinctive cuisines shaped by available ingredients.", answers: {"0": "noun", "2": "verb", "3": "adjective", "4": "noun", "5": "verb", "7": "adjective", "8": "noun"}, hint: "Identify the grammatical role of each highlighted word.", explanation: "'Communities' is a noun (subject), 'developed' is a verb (action), 'distinctive' is an adjective (describes cuisines), 'cuisines' is a noun, 'shaped' is a verb (past participle), 'available' is an adjective (describes ingredients), and 'ingredients' is a noun!" },
+    ]
+});
@@ -1,6 +1,7 @@
 // Level T Questions (Stories 206-217)
-// Replace placeholder questions in app.js with these story-specific questions
 
+ContentRegistry.register('questions-level-t.js', {
+    questions: [
 // Story 206: The Inheritance (T) - Fiction
 // IDs 3539-3550
             { id: 3539, storyId: 206, category: "theme", type: "multiple", question: "What is the main theme of 'The Inheritance'?", options: ["Money is the most important thing in life", "True wealth comes from personal growth and self-examination", "Eccentric relatives should be avoided", "Challenges are always designed to humiliate people"], correct: 1, hint: "Think about what Sebastian ultimately gained from the challenges.", explanation: "The story shows that Vincent's real gift wasn't the $47 million but forcing Sebastian to grow as a person and examine his life!", wrongFeedback: ["The story explicitly says the fortune felt 'almost incidental' by the end.", "", "Vincent's eccentricity served a meaningful purpose.", "Some challenges were transformative, not humiliating."] },
@@ -89,7 +90,7 @@
             { id: 3607, storyId: 211, category: "fact_opinion", type: "multiple", question: "Which statement from the passage is a FACT rather than an opinion?", options: ["The Seed Vault is the most important building in the world", "Every country should contribute more seeds to the vault", "The vault currently holds over one million seed samples from every country", "The Seed Vault's design is elegantly simple"], correct: 2, hint: "Which statement provides specific, verifiable numbers?", explanation: "The vault holding over one million seed samples from every country is a specific, verifiable fact, while 'most important' and 'should contribute' are opinions, and 'elegantly simple' is a subjective description!" },
             { id: 3608, storyId: 211, category: "author_purpose", type: "multiple", question: "What is the author's primary purpose in writing this passage?", options: ["To convince readers to become farmers", "To inform readers about the Seed Vault's mission, design, and importance in protecting global agricultural diversity", "To argue that technology cannot protect seeds", "To provide instructions for building a seed vault"], correct: 1, hint: "What does the author want readers to understand about the Seed Vault?", explanation: "The author informs readers about the Seed Vault's design, purpose, and practical value, showing how thoughtful engineering and international cooperation protect the world's food crop diversity!" },
             { id: 3609, storyId: 211, category: "text_structure", type: "multiple", question: "How is this passage primarily organized?", options: ["A personal narrative about visiting the Seed Vault", "Topical organization: the vault's mission, its physical design, how seeds are managed, and an example of its practical value", "A chronological history of seed storage throughout human history", "A debate about whether the Seed Vault is necessary"], correct: 1, hint: "Notice how the passage moves from purpose to design to operation to real-world use.", explanation: "The passage is organized by topic: first the vault's mission, then its physical design and location, then how seed deposits work, and finally a real-world example demonstrating its practical value!" },
-            { id: 3610, storyId: 211, category: "grammar", type: "highlight", question: "Identify the parts of speech for the highlighted words.", sentence: "Three concrete chambers sit inside the mountain, naturally cooled by surrounding permafrost.", answers: {"0": "adjective", "1": "adjective", "2": "noun", "3": "verb", "6": "noun", "8": "adverb", "9": "verb", "11": "adjective", "12": "noun"}, hint: "Identify nouns, verbs, adjectives, and adverbs in this sentence about the vault's design.", explanation: "'Three' is an adjective (number), 'concrete' is an adjective (describes chambers), 'chambers' is a noun, 'sit' is a verb (action), 'mountain' is a noun, 'naturally' is an adverb (modifies cooled), 'cooled' is a verb (past participle), 'surrounding' is an adjective (describes permafrost), and 'permafrost' is a noun!" },
+            { id: 3610, storyId: 211, category: "grammar", type: "highlight", question: "Identify the parts of speech for the highlighted words.", sentence: "Three concrete chambers sit inside the mountain, naturally cooled by surrounding permafrost.", answers: {"0": "adjective", "1": "adjective", "2": "noun", "3": "verb", "6": "noun", "7": "adverb", "8": "verb", "10": "adjective", "11": "noun"}, hint: "Identify nouns, verbs, adjectives, and adverbs in this sentence about the vault's design.", explanation: "'Three' is an adjective (number), 'concrete' is an adjective (describes chambers), 'chambers' is a noun, 'sit' is a verb (action), 'mountain' is a noun, 'naturally' is an adverb (modifies cooled), 'cooled' is a verb (past participle), 'surrounding' is an adjective (describes permafrost), and 'permafrost' is a noun!" },
 
 // Story 212: Medical Technology: How 3D Printing Helps Patients (T) - Nonfiction
 // IDs 3611-3622
@@ -134,7 +135,7 @@
             { id: 3643, storyId: 214, category: "fact_opinion", type: "multiple", question: "Which statement from the passage is a FACT rather than an opinion?", options: ["Hand-drawn animation was the most beautiful form of the art", "Computer animation is better than all previous methods", "Each second of hand-drawn animation required twenty-four individual drawings", "Stop-motion animation is the most creative technique"], correct: 2, hint: "Which statement provides a specific, verifiable number?", explanation: "The requirement of twenty-four drawings per second is a specific, verifiable technical fact about hand-drawn animation, while the other options involve subjective judgments about quality or creativity!" },
             { id: 3644, storyId: 214, category: "author_purpose", type: "multiple", question: "What is the author's primary purpose in writing this passage?", options: ["To convince readers that computer animation is the only worthwhile form", "To inform readers about how animation evolved from simple optical devices to modern computer-generated imagery, showing the art and science behind each era", "To provide instructions for creating animations", "To argue that animation should only be hand-drawn"], correct: 1, hint: "Why does the author describe each era of animation history?", explanation: "The author informs readers about animation's fascinating evolution, showing how each era combined artistic creativity with technological innovation to bring drawings and digital creations to life!" },
             { id: 3645, storyId: 214, category: "text_structure", type: "multiple", question: "How is this passage primarily organized?", options: ["Compare and contrast of two animation studios", "Chronological progression from early optical devices through hand-drawn and stop-motion animation to modern computer-generated imagery", "A personal narrative about becoming an animator", "Problem and solution format"], correct: 1, hint: "Notice how the passage moves through time from the 1830s to today.", explanation: "The passage follows a chronological structure: from 1830s optical devices to hand-drawn animation's golden age to stop-motion techniques to computer animation beginning in the 1990s!" },
-            { id: 3646, storyId: 214, category: "grammar", type: "highlight", question: "Identify the parts of speech for the highlighted words.", sentence: "Artists posed clay figures carefully, photographed them, and made tiny adjustments.", answers: {"0": "noun", "1": "verb", "2": "adjective", "3": "noun", "4": "adverb", "6": "verb", "10": "verb", "11": "adjective", "12": "noun"}, hint: "Find nouns, verbs, adjectives, and adverbs in this sentence about stop-motion animation.", explanation: "'Artists' is a noun (subject), 'posed' is a verb (action), 'clay' is an adjective (describes figures), 'figures' is a noun, 'carefully' is an adverb (modifies posed), 'photographed' is a verb, 'made' is a verb, 'tiny' is an adjective (describes adjustments), and 'adjustments' is a noun!" },
+            { id: 3646, storyId: 214, category: "grammar", type: "highlight", question: "Identify the parts of speech for the highlighted words.", sentence: "Artists posed clay figures carefully, photographed them, and made tiny adjustments.", answers: {"0": "noun", "1": "verb", "2": "adjective", "3": "noun", "4": "adverb", "5": "verb", "8": "verb", "9": "adjective", "10": "noun"}, hint: "Find nouns, verbs, adjectives, and adverbs in this sentence about stop-motion animation.", explanation: "'Artists' is a noun (subject), 'posed' is a verb (action), 'clay' is an adjective (describes figures), 'figures' is a noun, 'carefully' is an adverb (modifies posed), 'photographed' is a verb, 'made' is a verb, 'tiny' is an adjective (describes adjustments), and 'adjustments' is a noun!" },
 
 // Story 215: The History of Public Libraries (T) - Nonfiction
 // IDs 3647-3658
@@ -180,3 +181,5 @@
             { id: 3680, storyId: 217, category: "author_purpose", type: "multiple", question: "What is the author's primary purpose in writing this passage?", options: ["To frighten readers about their own brains", "To help readers understand the science behind their emotions so they can better recognize and manage their feelings", "To argue that emotions should be ignored in favor of pure logic", "To provide a complete medical textbook on brain anatomy"], correct: 1, hint: "What does the author want readers to do with this knowledge about emotions?", explanation: "The author explains brain science in accessible terms so readers can understand their own emotional experiences and develop better skills for recognizing and managing their feelings!", wrongFeedback: ["The passage presents brain science as fascinating and empowering, not frightening.", "", "The passage values both emotions and rational thinking.", "The passage is a general overview, not a comprehensive medical text."] },
             { id: 3681, storyId: 217, category: "text_structure", type: "multiple", question: "How is this passage primarily organized?", options: ["A personal diary about emotional experiences", "Topical organization: explaining key brain structures, how they process emotions, the interaction between fast and slow responses, and practical applications of this knowledge", "Chronological history of neuroscience discoveries", "Compare and contrast of happy versus sad emotions"], correct: 1, hint: "Notice how each section covers a different aspect of emotional processing.", explanation: "The passage is organized topically: introducing key brain structures, explaining how they process emotions, describing fast versus slow processing, and connecting the science to practical understanding!", wrongFeedback: ["The passage is scientific and informational, not a personal diary.", "", "The passage is organized by topic, not by historical timeline.", "The passage covers the brain's processing system, not specific emotion types."] },
             { id: 3682, storyId: 217, category: "grammar", type: "highlight", question: "Identify the parts of speech for the highlighted words.", sentence: "The amygdala rapidly detects potential threats and triggers automatic responses.", answers: {"1": "noun", "2": "adverb", "3": "verb", "4": "adjective", "5": "noun", "7": "verb", "8": "adjective", "9": "noun"}, hint: "Identify nouns (things/concepts), verbs (actions), adjectives (describing words), and adverbs (how something is done).", explanation: "Amygdala is a noun (thing), rapidly is an adverb (how it detects), detects is a verb (action), potential is an adjective (describes threats), threats is a noun, triggers is a verb (action), automatic is an adjective (describes responses), and responses is a noun!" },
+    ]
+});
@@ -1,6 +1,8 @@
 // Level U Questions (storyIds 221-229) - Real, story-specific comprehension questions
 // Stories 218-220 already have real questions in app.js - skipped
 
+ContentRegistry.register('questions-level-u.js', {
+    questions: [
 // Story 221: Aquarium Engineering: Building Underwater Worlds (U) - Nonfiction
 // IDs 3719-3730
             { id: 3719, storyId: 221, category: "theme", type: "multiple", question: "What is the central theme of 'Aquarium Engineering: Building Underwater Worlds'?", options: ["Building aquariums is simple and requires no special knowledge", "Creating large public aquariums requires solving complex engineering challenges in structural design, water quality, and lighting to maintain living habitats for thousands of animals", "Aquariums are just glass boxes filled with water", "Only marine biologists work at aquariums"], correct: 1, hint: "Think about all the different engineering systems the passage describes.", explanation: "The theme is that public aquariums represent a remarkable intersection of biology, chemistry, and structural design—sophisticated engineering working behind the scenes to bring ocean environments to audiences worldwide!" },
@@ -107,19 +109,9 @@
             { id: 3802, storyId: 227, category: "grammar", type: "highlight", question: "Identify the parts of speech for the highlighted words.", sentence: "Modern digital maps combine satellite imagery with precise positioning data.", answers: {"0": "adjective", "1": "adjective", "2": "noun", "3": "verb", "4": "adjective", "5": "noun", "7": "adjective", "8": "adjective", "9": "noun"}, hint: "Identify adjectives, nouns, and verbs in this sentence about modern mapping.", explanation: "'Modern' is an adjective, 'digital' is an adjective, 'maps' is a noun, 'combine' is a verb, 'satellite' is an adjective (modifies imagery), 'imagery' is a noun, 'precise' is an adjective, 'positioning' is an adjective, and 'data' is a noun!" },
 
 // Story 228: The History of Timekeeping (U) - Nonfiction
-// IDs 3803-3814
+// IDs 3803-3804
             { id: 3803, storyId: 228, category: "theme", type: "multiple", question: "What is the central theme of 'The History of Timekeeping'?", options: ["Telling time has always been easy", "Humans have developed increasingly precise timekeeping instruments over thousands of years, transforming civilization and enabling modern technology", "Only modern clocks are worth studying", "Time measurement is unimportant to daily life"], correct: 1, hint: "Think about how the passage traces timekeeping from sundials to atomic clocks.", explanation: "The theme is that humanity's quest for accurate time measurement has driven remarkable ingenuity over thousands of years, with precise timekeeping becoming essential to science, navigation, and daily life!" },
             { id: 3804, storyId: 228, category: "inference", type: "multiple", question: "Why was accurate timekeeping essential for ocean navigation?", options: ["Sailors needed to know when to eat meals", "Determining longitude at sea required comparing local noon with the time at a reference location, which needed an accurate portable clock", "Ships traveled faster when crews knew the exact time", "Navigators used clocks to measure water depth"], correct: 1, hint: "The passage explains how longitude and time are connected.", explanation: "Determining longitude at sea required comparing local noon with the time at a known reference location. Without an accurate portable clock, sailors could not calculate their east-west position!" },
-            { id: 3805, storyId: 228, category: "vocabulary", type: "multiple", question: "What does 'philanthropy' mean in the context of athletes giving back to their communities?", options: ["A type of athletic competition", "The practice of donating time, money, or resources to help others and improve communities", "A method of training for professional sports", "A type of contract between athletes and teams"], correct: 1, hint: "Athletes who 'give back' donate their time, money, and effort to help others.", explanation: "'Philanthropy' means generous actions to help others and promote their welfare—in this context, athletes using their success and resources to improve their communities!" },
-            { id: 3806, storyId: 228, category: "sequence", type: "multiple", question: "According to the passage, what is a common pattern in how athletes develop their community programs?", options: ["Athletes retire first, then start thinking about helping others", "Athletes identify a need in their community, create or fund a program to address it, personally participate in the work, and expand the program as it proves successful", "Athletes are told by their teams exactly what charities to support", "Athletes only donate money and never participate personally"], correct: 1, hint: "Follow the typical progression from recognizing a need to building a lasting program.", explanation: "The passage shows a common pattern: athletes see a community need, create targeted programs, invest personal time alongside money, and grow successful programs to help even more people!" },
-            { id: 3807, storyId: 228, category: "character", type: "multiple", question: "What sets apart the athletes described in this passage from typical celebrity charity work?", options: ["They only donate small amounts of money", "They invest not just money but personal time, create sustained programs rather than one-time events, and address specific community needs they understand firsthand", "They only help other athletes", "They do charity work only for publicity"], correct: 1, hint: "Think about the difference between writing a check and personally running a program.", explanation: "These athletes go beyond check-writing—they personally participate, create sustained programs addressing specific needs, and invest deeply because many grew up in the communities they now serve!" },
-            { id: 3808, storyId: 228, category: "main_idea", type: "multiple", question: "What is the main idea of 'Athletes Who Give Back'?", options: ["Many professional athletes use their success, resources, and personal commitment to create lasting positive change in their communities through thoughtful, sustained programs", "Athletes are only famous for winning games", "Community service is easy and requires no planning", "Only basketball players do charity work"], correct: 0, hint: "What does the passage demonstrate about athletes' community involvement?", explanation: "The passage shows that many athletes create meaningful, sustained community impact—building schools, funding scholarships, running programs—going far beyond simple donations to create lasting change!" },
-            { id: 3809, storyId: 228, category: "cause_effect", type: "multiple", question: "What effect do athletes' community programs have on the young people they serve?", options: ["The programs have no measurable impact", "Programs provide resources like scholarships and mentoring, increase confidence and opportunity, and inspire young people to eventually give back to their own communities", "Young people become professional athletes because of the programs", "The programs only help during the sports season"], correct: 1, hint: "Think about both the direct benefits and the ripple effects of these programs.", explanation: "The programs create a ripple effect: they directly provide resources and opportunities, build confidence through mentoring, and inspire participants to eventually give back—multiplying the positive impact!" },
-            { id: 3810, storyId: 228, category: "compare_contrast", type: "multiple", question: "How does the passage compare different approaches athletes take to community service?", options: ["All athletes take exactly the same approach to giving back", "Some athletes focus on education (scholarships, schools), others on basic needs (food, housing), and others on mentoring, but all share personal commitment and sustained effort", "The passage only discusses one type of community service", "Athletes who donate money are shown as more effective than those who volunteer time"], correct: 1, hint: "Notice the different types of programs described in the passage.", explanation: "The passage shows diverse approaches—educational programs, basic needs support, mentoring initiatives—but highlights that all effective athlete philanthropy shares personal involvement and long-term commitment!" },
-            { id: 3811, storyId: 228, category: "fact_opinion", type: "multiple", question: "Which of the following from the passage is a verifiable FACT?", options: ["Athletes are the most generous people in the world", "All professional athletes should be required to do community service", "The foundation described in the passage has provided over 1,200 scholarships to students in need", "Community service is more important than athletic achievement"], correct: 2, hint: "Which statement provides a specific, countable number that could be verified?", explanation: "The specific number of scholarships (over 1,200) is a verifiable factual claim, while the other options express subjective opinions or recommendations!" },
-            { id: 3812, storyId: 228, category: "author_purpose", type: "multiple", question: "Why does the author include specific details about the programs athletes have created?", options: ["To brag about how wealthy athletes are", "To show that athlete community service involves thoughtful, sustained programs with real measurable impact, not just symbolic gestures", "To argue that only famous people can help their communities", "To encourage readers to become professional athletes"], correct: 1, hint: "What effect do specific program details have compared to general statements about athletes being generous?", explanation: "Specific details about programs, numbers served, and lasting impact show readers that these athletes create thoughtful, effective programs with real measurable results—not just token gestures!" },
-            { id: 3813, storyId: 228, category: "text_structure", type: "multiple", question: "How is 'Athletes Who Give Back' organized?", options: ["By presenting examples of different athletes' community programs, explaining their motivations, describing their impact, and showing how their work inspires others", "As a ranking of athletes from most to least generous", "In chronological order of when each athlete started their career", "As a debate about whether athletes should do community service"], correct: 0, hint: "Notice how the passage moves from examples to motivations to impact.", explanation: "The passage is organized around examples: presenting various athletes' programs, exploring what motivates them, describing measurable community impact, and showing the ripple effect of inspiring others!" },
-            { id: 3814, storyId: 228, category: "grammar", type: "highlight", question: "Identify the parts of speech for the highlighted words.", sentence: "Dedicated athletes consistently support meaningful community programs throughout their careers.", answers: {"0": "adjective", "1": "noun", "2": "adverb", "3": "verb", "4": "adjective", "5": "noun", "6": "noun"}, hint: "Look for the people, how they act, the action, what describes the programs, and the things.", explanation: "Dedicated is an adjective (describes athletes), athletes is a noun (people), consistently is an adverb (how they support), support is a verb (action), meaningful is an adjective (describes programs), community is a noun (modifier), and programs is a noun (things)!" },
 
 // Story 229: Restorative Practices in Schools (U) - Nonfiction
 // IDs 3815-3826
@@ -135,3 +127,5 @@
             { id: 3824, storyId: 229, category: "author_purpose", type: "multiple", question: "Why does the author include specific examples of how restorative circles work in practice?", options: ["To make the passage longer", "To help readers understand the concrete process and see how abstract concepts like empathy and accountability actually play out in real school situations", "To argue that traditional discipline should be illegal", "To entertain readers with dramatic stories"], correct: 1, hint: "What do specific examples add that a general description wouldn't provide?", explanation: "Concrete examples help readers visualize the actual process—how students sit together, share feelings, listen, and agree on repairs—making abstract concepts like empathy tangible and understandable!" },
             { id: 3825, storyId: 229, category: "text_structure", type: "multiple", question: "How is 'Restorative Practices in Schools' organized?", options: ["By defining restorative practices, contrasting them with traditional discipline, explaining the process, presenting evidence of effectiveness, and discussing implementation", "As a fictional story about one student's experience", "As a debate between teachers who disagree about discipline", "In chronological order of when each school adopted the practices"], correct: 0, hint: "Notice how the passage moves from definition to process to evidence.", explanation: "The passage is organized logically: defining restorative practices, contrasting with traditional approaches, explaining the process in detail, presenting effectiveness evidence, and discussing implementation!" },
             { id: 3826, storyId: 229, category: "grammar", type: "highlight", question: "Identify the parts of speech for the highlighted words.", sentence: "Restorative practices effectively build stronger relationships between students and teachers.", answers: {"0": "adjective", "1": "noun", "2": "adverb", "3": "verb", "4": "adjective", "5": "noun"}, hint: "Look for describing words, things, actions, and how actions are done.", explanation: "Restorative is an adjective (describes practices), practices is a noun (things), effectively is an adverb (how they build), build is a verb (action), stronger is an adjective (describes relationships), and relationships is a noun (things)!" },
+    ]
+});
@@ -2,6 +2,8 @@
 // Story 231: Arctic Rescue (V) - IDs 3839-3850
 // Story 232: The Reunion (V) - IDs 3851-3862
 
+ContentRegistry.register('questions-level-v-gap.js', {
+    questions: [
 // Story 230: The Museum Mystery (V)
 { id: 3827, storyId: 230, category: "theme", type: "multiple", question: "What is the central theme of 'The Museum Mystery'?", options: ["Museums never make mistakes with their collections", "Careful observation and persistence can solve puzzles that have gone unnoticed for decades", "Only professional scientists can make important discoveries", "Old catalogs are always inaccurate and unreliable"], correct: 1, hint: "Think about Priya's journey from noticing a small difference to solving a thirty-year mystery.", explanation: "The story's theme is that careful observation, curiosity, and persistence can uncover mysteries hidden in plain sight--Priya noticed what adults had missed for decades!" },
 { id: 3828, storyId: 230, category: "inference", type: "multiple", question: "Why had nobody noticed the scarab switch for thirty years?", options: ["Nobody ever looked at the scarab in the museum", "The replacement scarab was similar enough in appearance that casual observers wouldn't notice the missing hieroglyphic markings without comparing old photographs", "The museum deliberately hid the switch", "The scarab was kept in storage where nobody could see it"], correct: 1, hint: "Priya only noticed because she compared the current display to her grandmother's old catalog.", explanation: "The switch went unnoticed because the replacement scarab looked similar enough at a glance--it took careful comparison with decades-old photographs to spot the missing hieroglyphic markings!" },
@@ -43,3 +45,5 @@
 { id: 3860, storyId: 232, category: "author_purpose", type: "multiple", question: "Why does the author include Danielle's handwritten note with the wedding invitation?", options: ["To show that Danielle has good handwriting", "To demonstrate that Danielle has reflected on the past and is genuinely reaching out, not just sending a routine invitation", "To explain the customs of formal wedding invitations", "To show that Danielle felt guilty about the wedding venue"], correct: 1, hint: "What does the note say, and why would Danielle add it to the invitation?", explanation: "The handwritten note--acknowledging the past and saying she 'can't fully move forward without acknowledging' it--shows Danielle's apology process had already begun, making the invitation a genuine attempt at reconciliation rather than a casual gesture!" },
 { id: 3861, storyId: 232, category: "text_structure", type: "multiple", question: "How is 'The Reunion' organized?", options: ["Entirely in chronological order from college to the wedding", "It begins in the present with the invitation, flashes back to the betrayal and its aftermath, then returns to the present for the reunion and its resolution", "As a series of diary entries from Naomi's perspective", "By comparing multiple different friendships Naomi has had"], correct: 1, hint: "Notice how the passage starts with receiving the invitation, then goes back in time, then moves forward.", explanation: "The passage uses a present-past-present structure: it opens with the invitation (present), flashes back to the friendship and betrayal (past), describes the years of aftermath, then returns to the wedding and the private conversation (present resolution)!" },
 { id: 3862, storyId: 232, category: "grammar", type: "highlight", question: "Identify the parts of speech for the highlighted words.", sentence: "Forgiveness didn't happen instantly, but something shifted.", answers: {"0": "noun", "2": "verb", "3": "adverb", "5": "pronoun", "6": "verb"}, hint: "Identify the subject nouns, the actions, and any words that describe how actions occurred.", explanation: "Forgiveness is a noun (concept/thing), happen is a verb (action), instantly is an adverb (how it happened), something is a pronoun (stands for an unnamed thing), and shifted is a verb (action)!" },
+    ]
+});
@@ -1,6 +1,8 @@
-// Level V/W Questions - Stories 233-244
-// 12 questions per story, 144 total
+// Level V Questions - Stories 233-241
+// 12 questions per story, 108 total (stories 242-244 are in questions-level-w.js)
 
+ContentRegistry.register('questions-level-v.js', {
+    questions: [
 // ========== STORY 233: The Emotion Merchants (V) ==========
             { id: 3863, storyId: 233, category: "theme", type: "multiple", question: "What is the main theme of 'The Emotion Merchants'?", options: ["Some things—like authentic emotions and moral conviction—lose their meaning when commodified and should not be bought or sold", "Technology always improves people's lives", "Wealth guarantees happiness", "Business decisions should always prioritize profit"], correct: 0, hint: "Think about why Elena ultimately refused to sell moral conviction and began returning emotions.", explanation: "The theme is that some things—genuine feelings, moral conviction—are corrupted by being treated as commodities, and Elena's refusal shows there are transactions too toxic to complete!", wrongFeedback: ["", "The story shows technology enabling harmful transactions.", "Wealthy clients who accumulated positive emotions often faced 'catastrophic' results.", "Elena chose ethics over profit when she refused the government official."] },
             { id: 3864, storyId: 233, category: "inference", type: "multiple", question: "Why was the government official's request for 'authentic moral conviction' the turning point for Elena?", options: ["She had never sold emotions to politicians before", "He wanted to use purchased conviction to feel righteous about policies he knew were wrong—weaponizing morality itself", "The price he offered was too low", "She was afraid of getting caught by law enforcement"], correct: 1, hint: "What did the official plan to do with the purchased conviction?", explanation: "The official wanted to buy the feeling of being morally right to justify policies he privately knew were wrong—using purchased emotions to manufacture false righteousness!", wrongFeedback: ["The passage doesn't mention her client history with politicians.", "", "Price isn't mentioned as a factor in her refusal.", "The business is described as legal."] },
@@ -126,45 +128,5 @@
             { id: 3968, storyId: 241, category: "author_purpose", type: "multiple", question: "What is the author's primary purpose in writing this passage?", options: ["To argue for a specific political party's platform", "To convince readers to run for city council", "To provide detailed budget figures for every American city", "To educate readers about how local government works and how citizens can meaningfully participate in democratic processes close to home"], correct: 3, hint: "Why does the author explain council structure, budgets, and participation opportunities?", explanation: "The author aims to help readers understand local government's structure and relevance, showing that it's both important to daily life and accessible for citizen participation!", wrongFeedback: ["The passage is non-partisan civic education.", "While running for office is mentioned, it's one of many participation methods.", "The passage explains budget processes generally, not specific city figures.", ""] },
             { id: 3969, storyId: 241, category: "text_structure", type: "multiple", question: "How is this passage primarily organized?", options: ["A chronological history of one specific city council", "A fictional story about a city council meeting", "Introduction establishing local government's importance, then sections on council structure, the budget process, and citizen participation opportunities", "A list of every city in America and its council size"], correct: 2, hint: "Notice how the passage moves from importance to structure to budgets to participation.", explanation: "The passage uses a topical structure: establishing why local government matters, explaining how councils are organized, describing budget processes, and detailing citizen participation opportunities!", wrongFeedback: ["The passage discusses local government generally, not one specific city.", "This is informational, not fictional.", "", "The passage explains general principles, not specific city details."] },
             { id: 3970, storyId: 241, category: "grammar", type: "highlight", question: "Identify the parts of speech for the highlighted words.", sentence: "Citizens can attend public meetings and speak during comment periods.", answers: {"0": "noun", "2": "verb", "3": "adjective", "4": "noun", "6": "verb", "8": "noun", "9": "noun"}, hint: "Identify each word's grammatical role.", explanation: "'Citizens' is a noun, 'attend' is a verb, 'public' is an adjective, 'meetings' is a noun, 'speak' is a verb, 'comment' is a noun (modifying periods), and 'periods' is a noun!" },
-
-// ========== STORY 242: The Algorithm (W) ==========
-            { id: 3971, storyId: 242, category: "theme", type: "multiple", question: "What is the main theme of 'The Algorithm'?", options: ["Technology is always fair and unbiased", "When algorithms trained on biased data are used to restrict liberty without transparency or human oversight, efficiency cannot replace justice", "Predictive algorithms should replace all human decision-making", "Crime prediction is always accurate"], correct: 1, hint: "Think about the Supreme Court's ruling and what it said about efficiency versus justice.", explanation: "The theme is that algorithmic prediction systems, trained on biased data, cannot replace human judgment in matters of liberty—efficiency gains don't justify sacrificing fundamental justice!", wrongFeedback: ["The passage demonstrates that algorithms amplify existing human biases.", "", "The ruling specifically required human oversight, rejecting full automation.", "The algorithm reflected biased data, not accurate predictions."] },
-            { id: 3972, storyId: 242, category: "inference", type: "multiple", question: "Why did the algorithm disproportionately flag minorities?", options: ["The algorithm learned from historical data reflecting overpolicing of minority neighborhoods, amplifying existing biases while appearing objective", "Minorities actually commit more crimes", "The algorithm was deliberately programmed to be racist", "Minorities used social media more often"], correct: 0, hint: "The passage explains how 'patterns in historical data reflected existing biases.'", explanation: "The algorithm learned from data shaped by overpolicing—more police in minority neighborhoods meant more arrests, creating data that falsely suggested minorities were more criminal!", wrongFeedback: ["", "The passage explicitly states 'similar rates of criminal behavior' weren't reflected in the biased data.", "The bias was learned from historical data, not deliberately programmed.", "The passage identifies overpolicing, not social media use, as the data bias source."] },
-            { id: 3973, storyId: 242, category: "vocabulary", type: "multiple", question: "What does 'preemptive' mean in 'algorithmic predictions couldn't justify preemptive restrictions on liberty'?", options: ["After a crime has been committed", "Requiring permission first", "Related to television premiums", "Taken in advance to prevent something from happening—acting against someone before they've done anything wrong"], correct: 3, hint: "Marcus was restricted before he committed any crime, based solely on a prediction.", explanation: "'Preemptive' means acting in advance to prevent something anticipated. The ruling said predictions couldn't justify restricting someone's freedom before they've actually done anything!", wrongFeedback: ["Preemptive means before an event, not after.", "Preemptive means acting first to prevent, not seeking permission.", "Preemptive relates to acting in advance, not television.", ""] },
-            { id: 3974, storyId: 242, category: "sequence", type: "multiple", question: "What is the correct order of events in 'The Algorithm'?", options: ["Supreme Court rules, then Marcus is flagged, then civil liberties attorneys take the case", "Marcus commits a crime, then the algorithm flags him", "Algorithm flags Marcus, he faces exclusions and surveillance, civil liberties attorneys challenge the system, the Supreme Court rules algorithmic predictions can't justify preemptive restrictions", "The algorithm is banned, then Marcus's case is heard"], correct: 2, hint: "Follow Marcus's journey from being flagged to the Supreme Court ruling.", explanation: "The sequence is: algorithm flags Marcus, he faces real-world consequences, attorneys challenge the system, and the Supreme Court rules that predictions can't justify restricting liberty without human oversight!", wrongFeedback: ["The flagging came first; the court case developed afterward.", "Marcus 'hadn't done anything'—the whole point is he was flagged without committing a crime.", "", "The case led to the ruling, not the other way around."] },
-            { id: 3975, storyId: 242, category: "character", type: "multiple", question: "What does Marcus Thompson's situation represent in the larger story?", options: ["A person who deserved to be flagged by the algorithm", "A test case illustrating how algorithmic bias can destroy innocent people's lives based on predictions reflecting systemic prejudice rather than individual behavior", "Someone who benefited from the algorithm's prediction", "A willing participant in the algorithm's development"], correct: 1, hint: "Why did Marcus become a 'test case for algorithmic accountability'?", explanation: "Marcus represents anyone who could be harmed by biased algorithmic predictions—he hadn't done anything wrong, but the algorithm's prejudiced data patterns upended his life!", wrongFeedback: ["The passage emphasizes 'He hadn't done anything.'", "", "Marcus suffered exclusion, surveillance, and suspicion—he didn't benefit.", "Marcus was flagged involuntarily, not a willing participant."] },
-            { id: 3976, storyId: 242, category: "main_idea", type: "multiple", question: "What is the main idea of 'The Algorithm'?", options: ["A teenager's unjust flagging by a biased prediction algorithm exposes how AI systems can amplify human prejudices and restrict innocent people's liberty", "Algorithms are always fair because they use data", "The Supreme Court supports unlimited algorithmic surveillance", "Crime prediction technology has no flaws"], correct: 0, hint: "What connects Marcus's individual story to the broader issues of AI bias and justice?", explanation: "The main idea is that Marcus's case exposes how algorithms trained on biased data can amplify prejudice, restrict innocent people's liberty, and operate as 'black boxes' beyond accountability!", wrongFeedback: ["", "The passage shows algorithms amplify existing biases.", "The Court ruled against preemptive restrictions without human oversight.", "The passage identifies fundamental flaws in the prediction system."] },
-            { id: 3977, storyId: 242, category: "cause_effect", type: "multiple", question: "What were the real-world consequences Marcus faced after being flagged by the algorithm?", options: ["He received additional educational support and mentoring", "Nothing changed in his daily life", "He was immediately arrested and imprisoned", "He was excluded from college programs, flagged for police surveillance, and viewed with suspicion by neighbors"], correct: 3, hint: "What happened to Marcus based solely on the algorithm's prediction?", explanation: "Despite having done nothing wrong, Marcus was excluded from college programs, subjected to additional police surveillance, and viewed with suspicion by neighbors—all based on a prediction!", wrongFeedback: ["The consequences were entirely negative, not supportive.", "The passage describes dramatic, life-changing consequences.", "He wasn't arrested—the consequences were social and institutional exclusion.", ""] },
-            { id: 3978, storyId: 242, category: "compare_contrast", type: "multiple", question: "How does the passage contrast the algorithm's apparent objectivity with its actual operation?", options: ["The algorithm was both objective and fair", "The algorithm was deliberately biased by its creators", "The algorithm appeared objective but actually learned and amplified human prejudices from biased historical data", "There was no contrast—the algorithm worked perfectly"], correct: 2, hint: "What does 'appearing objective' versus what the algorithm actually did?", explanation: "The passage draws a sharp contrast: the algorithm appeared objective (data-driven, mathematical) but actually amplified existing biases from overpolicing data 'while appearing objective'!", wrongFeedback: ["The passage shows it appeared objective but wasn't fair.", "The bias was learned from data, not deliberately programmed.", "", "The passage describes fundamental flaws in the system."] },
-            { id: 3979, storyId: 242, category: "fact_opinion", type: "multiple", question: "Which statement from the passage is a FACT?", options: ["Some collateral unfairness was acceptable given lives saved", "Marcus's case eventually reached the Supreme Court", "The algorithm learned and amplified human prejudices", "Efficiency couldn't wholly replace justice"], correct: 1, hint: "Which statement describes a specific, verifiable legal event?", explanation: "Marcus's case reaching the Supreme Court is a specific, verifiable event, while the other statements involve arguments, analytical assessments, or philosophical conclusions!", wrongFeedback: ["This is the developers' argument, not an established fact.", "", "This is an analytical interpretation of how the algorithm functioned.", "This is a philosophical conclusion from the ruling."] },
-            { id: 3980, storyId: 242, category: "author_purpose", type: "multiple", question: "What is the author's primary purpose in writing 'The Algorithm'?", options: ["To explore how algorithmic bias can undermine justice and individual liberty through a compelling personal narrative", "To promote the use of prediction algorithms in policing", "To provide technical instructions for building algorithms", "To argue that all technology should be banned"], correct: 0, hint: "Why does the author tell Marcus's individual story within the larger context of algorithmic bias?", explanation: "The author uses Marcus's personal story to make abstract issues of algorithmic bias, civil liberties, and justice concrete and emotionally compelling!", wrongFeedback: ["", "The passage critiques prediction algorithms, not promotes them.", "This is narrative fiction exploring ethics, not a technical guide.", "The passage questions specific uses of technology, not all technology."] },
-            { id: 3981, storyId: 242, category: "text_structure", type: "multiple", question: "How is 'The Algorithm' primarily organized?", options: ["A technical manual about machine learning", "A debate between two scientists", "An alphabetical glossary of AI terms", "A narrative structure: Marcus's flagging, the real-world consequences, the legal challenge, the technical defense, and the Supreme Court ruling"], correct: 3, hint: "Follow the story from Marcus being flagged through to the Supreme Court.", explanation: "The passage follows a narrative arc: Marcus gets flagged, suffers consequences, attorneys challenge the system, the technical bias is exposed, and the Supreme Court delivers its ruling!", wrongFeedback: ["This is narrative fiction, not a technical manual.", "The passage presents one narrative, not a formal debate.", "The passage tells a story, not a glossary.", ""] },
-            { id: 3982, storyId: 242, category: "grammar", type: "highlight", question: "Identify the parts of speech for the highlighted words.", sentence: "The algorithm learned and amplified human prejudices while appearing objective.", answers: {"1": "noun", "2": "verb", "4": "verb", "5": "adjective", "6": "noun", "8": "adjective"}, hint: "Identify each word's grammatical role.", explanation: "'Algorithm' is a noun, 'learned' is a verb, 'amplified' is a verb, 'human' is an adjective, 'prejudices' is a noun, and 'objective' is an adjective!" },
-
-// ========== STORY 243: Submersible Crisis (W) ==========
-            { id: 3983, storyId: 243, category: "theme", type: "multiple", question: "What is the main theme of 'Submersible Crisis'?", options: ["Deep-sea exploration is completely safe", "Scientists should never explore dangerous environments", "True leadership means accepting personal risk to protect those under your command, even when probability offers no guarantees", "Following orders is always more important than personal judgment"], correct: 2, hint: "Think about why Yuki chose to go outside the submersible herself.", explanation: "The theme is about leadership and sacrifice—Yuki demonstrates that true command means accepting the greatest risk yourself rather than asking others to face potential danger!", wrongFeedback: ["The passage shows extreme danger at every turn.", "The passage shows scientists accepting risk for important research.", "", "Yuki overrode her crew's objections, showing leadership beyond obedience."] },
-            { id: 3984, storyId: 243, category: "inference", type: "multiple", question: "Why did Yuki's crew object 'strenuously' to her plan to go outside?", options: ["They thought the mission wasn't important", "As commander, her survival was considered most critical, and losing the leader could doom everyone if complications arose during ascent", "They wanted to abandon the submersible entirely", "They didn't trust the suits to work"], correct: 1, hint: "The crew argued that 'as commander, her survival should be prioritized.'", explanation: "The crew objected because losing the commander during ascent could be catastrophic—someone needed to monitor systems and make decisions during the two-hour rise, and that person should be Yuki!", wrongFeedback: ["They clearly cared about the mission and survival.", "", "Abandoning the submersible wasn't an option at that depth.", "While suits were untested, the specific objection was about Yuki's role as commander."] },
-            { id: 3985, storyId: 243, category: "vocabulary", type: "multiple", question: "What does 'irreversibly' mean in 'hull integrity was failing—slowly but irreversibly'?", options: ["In a way that cannot be undone or reversed—the damage was permanent and worsening", "Temporarily and fixable", "Quickly and suddenly", "Harmlessly and safely"], correct: 0, hint: "The hull damage couldn't be repaired or stopped—it could only get worse.", explanation: "'Irreversibly' means in a way that cannot be reversed or undone. The hull's failure was permanent and progressive—there was no way to fix it, only escape before it was too late!", wrongFeedback: ["", "Irreversibly means the opposite—permanent, not temporary.", "The damage was slow but unstoppable, not quick.", "The damage was extremely dangerous, not harmless."] },
-            { id: 3986, storyId: 243, category: "sequence", type: "multiple", question: "What is the correct order of events in 'Submersible Crisis'?", options: ["Yuki goes outside first, then the warning systems activate", "The ballast releases, then the mechanism jams", "They surface first, then discover the hull problem", "Warning systems activate, hull failure detected, ballast mechanism found jammed, Yuki exits to manually release, suit holds, ballast releases, two-hour ascent to surface"], correct: 3, hint: "Follow the crisis from the first warning through to reaching the surface.", explanation: "The sequence is: warnings activate, hull failure detected, ballast mechanism jammed, Yuki exits in an untested suit, she releases the ballast, and the two-hour ascent begins!", wrongFeedback: ["Warning systems activated first, before anyone went outside.", "The jam was discovered when trying to release, not after release.", "They discovered the problem at depth, not after surfacing.", ""] },
-            { id: 3987, storyId: 243, category: "character", type: "multiple", question: "What leadership qualities does Yuki demonstrate?", options: ["She panics and loses control of the situation", "She delegates all dangerous tasks to her crew", "She shows calm calculation under pressure, personal courage in accepting the greatest risk, and decisive authority in overriding her crew's objections", "She freezes and is unable to make decisions"], correct: 2, hint: "How does Yuki handle running calculations, deciding to go outside, and managing the ascent?", explanation: "Yuki demonstrates multiple leadership qualities: analytical thinking (running calculations), personal courage (choosing to go outside herself), and decisive authority (overriding crew objections)!", wrongFeedback: ["Yuki calmly runs calculations and makes rational decisions.", "She specifically takes the most dangerous task herself rather than delegating it.", "", "She makes a series of quick, decisive choices throughout the crisis."] },
-            { id: 3988, storyId: 243, category: "main_idea", type: "multiple", question: "What is the main idea of 'Submersible Crisis'?", options: ["Deep-sea research is too dangerous to attempt", "A submersible commander demonstrates extraordinary leadership and personal sacrifice when hull failure at extreme depth forces her to risk her own life to save her crew", "The submersible's technology failed because of poor engineering", "The crew was unprepared for the emergency"], correct: 1, hint: "What connects the crisis, Yuki's decision, and the outcome?", explanation: "The main idea centers on Yuki's leadership: facing certain peril from hull failure, she accepts the greatest personal risk to save her crew, demonstrating courage and command under impossible conditions!", wrongFeedback: ["The passage is about human courage in the face of danger, not arguing against research.", "", "The story focuses on the human response to crisis, not engineering blame.", "The crew had emergency procedures; the mechanism failure was unforeseeable."] },
-            { id: 3989, storyId: 243, category: "cause_effect", type: "multiple", question: "What caused the need for someone to exit the submersible?", options: ["The ballast release mechanism jammed—likely due to the same structural stress affecting the hull—making manual release the only option for ascending", "Yuki wanted to explore the hydrothermal vents", "The crew needed to repair the hull from outside", "The communication equipment needed external adjustment"], correct: 0, hint: "Why couldn't they simply release the ballast from inside?", explanation: "The ballast mechanism jammed, and since dropping ballast was the only way to ascend, someone had to go outside in an untested suit at crushing depth to manually release the weights!", wrongFeedback: ["", "Exploration was long past—this was a survival situation.", "The hull couldn't be repaired—the goal was to ascend before it failed.", "Communication isn't mentioned as a factor."] },
-            { id: 3990, storyId: 243, category: "compare_contrast", type: "multiple", question: "How does the passage contrast the two options Yuki faces?", options: ["Both options guaranteed survival", "Going outside was guaranteed safe while staying was risky", "Neither option involved any risk", "Staying meant certain doom from hull failure; going outside was extremely risky but could save the others if the suit held"], correct: 3, hint: "Yuki calculates: 'If they remained stationary, hull failure was certain. If they attempted manual release and suits failed, the outcome was equally certain.'", explanation: "The passage presents two grim options: certain doom by staying versus extreme risk by going outside, with the chance of saving everyone if the untested suit worked!", wrongFeedback: ["Both options carried extreme danger.", "Going outside in untested suits was extremely dangerous, not guaranteed safe.", "Both options involved potentially fatal risk.", ""] },
-            { id: 3991, storyId: 243, category: "fact_opinion", type: "multiple", question: "Which statement from the passage is a FACT?", options: ["One loss to save three was mathematically rational", "The ascent was the longest two hours of her life", "At this depth, the ocean exerted pressure exceeding 4,400 pounds per square inch", "Yuki permitted herself one moment of released terror"], correct: 2, hint: "Which statement presents a specific, verifiable physical measurement?", explanation: "The pressure of 4,400 pounds per square inch at that depth is a specific, measurable physical fact, while the others involve subjective experiences or moral reasoning!", wrongFeedback: ["This is a moral-mathematical assessment, not a verifiable fact.", "This is a subjective perception of time.", "", "This describes Yuki's internal emotional experience."] },
-            { id: 3992, storyId: 243, category: "author_purpose", type: "multiple", question: "What is the author's primary purpose in writing 'Submersible Crisis'?", options: ["To provide technical specifications for research submersibles", "To tell a gripping survival story that explores leadership, sacrifice, and the weight of command decisions under extreme pressure", "To discourage ocean research", "To explain how ballast systems work"], correct: 1, hint: "Why does the author focus on Yuki's decision-making and personal risk?", explanation: "The author crafts a survival narrative that explores what leadership truly means when lives depend on your decisions—and when accepting the greatest risk yourself is the only ethical choice!", wrongFeedback: ["Technical details serve the narrative, not the other way around.", "", "The passage celebrates courage in exploration, not discouraging it.", "Ballast details serve the plot, not as the passage's purpose."] },
-            { id: 3993, storyId: 243, category: "text_structure", type: "multiple", question: "How is 'Submersible Crisis' primarily organized?", options: ["A chronological crisis narrative building from initial warning through escalating danger, a critical decision, execution, and resolution", "A scientific report on ocean pressure", "A comparison of different submersible designs", "A debate about the ethics of deep-sea research"], correct: 0, hint: "Follow the story from the first alarm through to surfacing.", explanation: "The passage uses a chronological crisis structure: warning signs, escalating danger, the critical decision about who goes outside, the tense execution, and the final escape to the surface!", wrongFeedback: ["", "This is narrative fiction, not a scientific report.", "Only one submersible is discussed.", "The passage is a survival narrative, not an ethics debate."] },
-            { id: 3994, storyId: 243, category: "grammar", type: "highlight", question: "Identify the parts of speech for the highlighted words.", sentence: "The external pressure was crushing, the darkness absolute, but her suit held.", answers: {"1": "adjective", "2": "noun", "4": "adjective", "6": "noun", "7": "adjective", "10": "noun", "11": "verb"}, hint: "Identify each word's grammatical role.", explanation: "'External' is an adjective, 'pressure' is a noun, 'crushing' is an adjective, 'darkness' is a noun, 'absolute' is an adjective, 'suit' is a noun, and 'held' is a verb!" },
-
-// ========== STORY 244: Toxic Friendship (W) ==========
-            { id: 3995, storyId: 244, category: "theme", type: "multiple", question: "What is the main theme of 'Toxic Friendship'?", options: ["All friendships are permanent and should never end", "Ending friendships is always the wrong choice", "Manipulation in friendships is always obvious and easy to identify", "Love alone doesn't make a relationship healthy—recognizing and leaving manipulative relationships requires painful but necessary self-preservation"], correct: 3, hint: "Think about the final lesson: 'love alone doesn't make a relationship healthy.'", explanation: "The theme is that genuine affection can coexist with genuine harm, and recognizing when a relationship is toxic—even one rooted in love—requires courage to prioritize your own wellbeing!", wrongFeedback: ["The passage shows that some friendships need to end for health.", "The passage shows ending the friendship was necessary, though painful.", "The manipulation was 'so gradual' that Amara needed a therapist to identify it.", ""] },
-            { id: 3996, storyId: 244, category: "inference", type: "multiple", question: "Why did it take Amara three years to recognize the manipulation?", options: ["Because she wasn't paying attention", "Because Keisha never did anything harmful", "Because the manipulation was interwoven with genuine affection, making it impossible to distinguish friendship from harm without outside perspective", "Because Amara enjoyed being manipulated"], correct: 2, hint: "The passage says manipulation was 'so gradual, so interwoven with genuine affection' that distinguishing help from harm became impossible.", explanation: "The manipulation was insidious precisely because it was mixed with real love and care—when someone who genuinely cares for you also controls you, the harm is nearly invisible from inside!", wrongFeedback: ["The passage shows Amara was attentive but the manipulation was expertly disguised.", "The passage describes numerous harmful tactics.", "", "The passage shows Amara's confidence eroded—she was a victim, not a willing participant."] },
-            { id: 3997, storyId: 244, category: "vocabulary", type: "multiple", question: "What does 'insidiously' mean in 'Most insidiously, Keisha positioned herself as Amara's protector'?", options: ["Openly and honestly", "In a gradual, subtle, harmful way—causing damage so slowly it's hard to detect", "Loudly and aggressively", "Accidentally and unintentionally"], correct: 1, hint: "This was the most harmful tactic because it was disguised as protection.", explanation: "'Insidiously' means proceeding in a harmful way that is gradual and subtle. Keisha's most dangerous tactic was disguised as protection, making it the hardest to detect!", wrongFeedback: ["Insidiously means the opposite—hidden and deceptive.", "", "Insidious tactics are quiet and subtle, not loud.", "The passage describes deliberate, patterned behavior, not accidental."] },
-            { id: 3998, storyId: 244, category: "sequence", type: "multiple", question: "What is the correct order of events in 'Toxic Friendship'?", options: ["Years of subtle manipulation occur, a therapist helps Amara identify patterns, Amara recognizes the toxic dynamic, she ends the friendship, she rebuilds other connections", "Amara recognizes the pattern first, then meets Keisha", "Amara ends the friendship immediately, then recognizes the manipulation", "Recovery happens before the friendship ends"], correct: 0, hint: "Follow Amara's journey from being manipulated to recognizing it to acting on it.", explanation: "The sequence is: years of gradual manipulation, therapist helps identify patterns, painful recognition, the difficult decision to end the friendship, and rebuilding connections and self-trust!", wrongFeedback: ["", "The manipulation happened within an existing friendship.", "Recognition came before action, not after.", "Recovery began after the friendship ended."] },
-            { id: 3999, storyId: 244, category: "character", type: "multiple", question: "How does the passage portray Keisha's character?", options: ["As purely evil with no redeeming qualities", "As someone who openly admits to manipulation", "As a perfect friend who never did anything wrong", "As complex—genuinely caring in some ways but also controlling and manipulative, possibly driven by her own insecurities rather than conscious malice"], correct: 3, hint: "The passage says 'perhaps Keisha didn't consciously intend harm' and notes 'genuine affection.'", explanation: "The passage portrays Keisha with nuance: she was genuinely affectionate but also controlling, and her behavior may have stemmed from insecurity rather than deliberate cruelty!", wrongFeedback: ["The passage acknowledges 'genuine affection' and possible insecurity motivations.", "Keisha's tactics were subtle, not openly acknowledged.", "The passage details specific manipulative and harmful behaviors.", ""] },
-            { id: 4000, storyId: 244, category: "main_idea", type: "multiple", question: "What is the main idea of 'Toxic Friendship'?", options: ["All friendships involve manipulation", "Therapy is a waste of time", "A young woman's journey to recognizing, leaving, and recovering from a manipulative friendship shows that love and harm can coexist, and leaving is necessary for self-preservation", "Only close relationships can be toxic"], correct: 2, hint: "What connects the manipulation, the recognition, the painful ending, and the recovery?", explanation: "The main idea is Amara's journey from unknowing victim to self-awareness to painful action to recovery—demonstrating that toxic friendships are real and leaving them is necessary even when love exists!", wrongFeedback: ["The passage describes one specific toxic friendship, not all friendships.", "The therapist was essential in helping Amara identify the patterns.", "", "The passage specifically describes a toxic friendship, showing toxicity can occur in friendships too."] },
-            { id: 4001, storyId: 244, category: "cause_effect", type: "multiple", question: "What was the effect of Keisha positioning herself as Amara's protector?", options: ["Amara became more confident and independent", "It created isolation and dependence—Amara believed only Keisha was loyal, narrowing her world until Keisha 'occupied nearly all of it'", "Amara immediately recognized the manipulation", "It had no effect on Amara's other relationships"], correct: 1, hint: "What happened when Keisha said 'Everyone talks about you behind your back except me'?", explanation: "Keisha's false protector role isolated Amara from other relationships, creating dependence that narrowed Amara's entire world until Keisha was essentially her only connection!", wrongFeedback: ["Amara's confidence eroded, not grew.", "", "The manipulation was so subtle it took years and a therapist to identify.", "The passage says Amara's 'world narrowed' and she 'drifted from' other people."] },
-            { id: 4002, storyId: 244, category: "compare_contrast", type: "multiple", question: "How does the passage contrast Keisha's role as 'protector' with her actual behavior?", options: ["Keisha positioned herself as Amara's protector from others while actually being 'her primary threat'—the person causing the most harm", "Keisha truly was Amara's best protector", "There was no contradiction in Keisha's behavior", "Amara never believed Keisha was protecting her"], correct: 0, hint: "The passage says Keisha was Amara's 'protector' while being her 'primary threat.'", explanation: "The passage draws a devastating contrast: Keisha claimed to be Amara's only loyal friend and protector while simultaneously being the person causing the most damage through manipulation!", wrongFeedback: ["", "The passage explicitly calls Keisha Amara's 'primary threat.'", "The entire point is the contradiction between claimed protection and actual harm.", "Amara believed Keisha was protecting her—that's how the manipulation worked."] },
-            { id: 4003, storyId: 244, category: "fact_opinion", type: "multiple", question: "Which statement from the passage is a FACT rather than an opinion?", options: ["Ending the friendship felt like amputation", "Love alone doesn't make a relationship healthy", "Perhaps Keisha didn't consciously intend harm", "It took Amara three years to recognize that her best friend Keisha was destroying her"], correct: 3, hint: "Which statement describes a verifiable timeframe and event?", explanation: "The three-year timeframe for Amara's recognition is a specific, verifiable fact, while the others involve subjective feelings, philosophical conclusions, or speculation!", wrongFeedback: ["This is a metaphorical description of an emotional experience.", "This is a philosophical conclusion, though the passage supports it.", "This is speculation about Keisha's intentions.", ""] },
-            { id: 4004, storyId: 244, category: "author_purpose", type: "multiple", question: "What is the author's primary purpose in writing 'Toxic Friendship'?", options: ["To argue that all friendships are toxic", "To provide legal advice about friendship disputes", "To illustrate how subtle manipulation works within close relationships and validate the painful necessity of ending toxic ones", "To entertain with a dramatic love story"], correct: 2, hint: "Why does the author detail specific manipulation tactics and the recovery process?", explanation: "The author shows exactly how manipulation operates—its subtlety, its disguises, its effects—to help readers recognize similar patterns and validate the difficult choice to leave!", wrongFeedback: ["The passage examines one toxic friendship, not all friendships.", "This is narrative fiction exploring relationships, not legal advice.", "", "This is about friendship, not romantic love."] },
-            { id: 4005, storyId: 244, category: "text_structure", type: "multiple", question: "How is 'Toxic Friendship' primarily organized?", options: ["A comparison of multiple toxic friendships", "A chronological progression from the friendship's dynamics, through recognition and ending, to recovery and the lasting lesson learned", "A list of manipulation tactics without narrative", "A debate about whether the friendship was truly toxic"], correct: 1, hint: "Follow the story from inside the manipulation through recognition to recovery.", explanation: "The passage follows a chronological arc: the subtle manipulation tactics, the therapist-aided recognition, the painful ending, the recovery process, and the enduring lesson!", wrongFeedback: ["Only one friendship is examined.", "", "Tactics are woven into a narrative, not presented as a list.", "The passage concludes definitively that the friendship was toxic."] },
-            { id: 4006, storyId: 244, category: "grammar", type: "highlight", question: "Identify the parts of speech for the highlighted words.", sentence: "The manipulation was so gradual that distinguishing friendship from harm became impossible.", answers: {"1": "noun", "4": "adjective", "6": "noun", "8": "noun", "9": "verb", "10": "adjective"}, hint: "Identify each word's grammatical role.", explanation: "'Manipulation' is a noun, 'gradual' is an adjective, 'friendship' is a noun, 'harm' is a noun, 'became' is a verb (linking), and 'impossible' is an adjective!" },
+    ]
+});
@@ -1,6 +1,8 @@
 // Level W Questions (storyIds 242-253) - Real, story-specific comprehension questions
 // 12 stories x 12 questions each = 144 questions
 
+ContentRegistry.register('questions-level-w.js', {
+    questions: [
 // Story 242: The Algorithm (W) - Fiction
 // IDs 3971-3982
             { id: 3971, storyId: 242, category: "theme", type: "multiple", question: "What is the central theme of 'The Algorithm'?", options: ["Technology always produces fair and unbiased results", "Algorithmic prediction systems can amplify human biases while appearing objective, threatening fundamental principles of justice", "Crime prevention technology should be used without oversight", "Machine learning systems are always transparent and explainable"], correct: 1, hint: "Think about how the algorithm's 'objectivity' actually reflected and amplified existing biases.", explanation: "The story shows how an algorithm that appeared objective actually learned and amplified human prejudices--like overpolicing of minority neighborhoods--while threatening the principle that people shouldn't be punished for uncommitted crimes!" },
@@ -74,7 +76,7 @@
             { id: 4027, storyId: 246, category: "fact_opinion", type: "multiple", question: "Which of the following is an OPINION rather than a fact from the passage?", options: ["Sofia was a top student in Bogota", "Mrs. Takahashi recognized Sofia's talent immediately", "Jia's family had emigrated from China two years earlier", "Sofia had become 'something new entirely--a person enriched by both worlds'"], correct: 3, hint: "Which statement represents Sofia's personal interpretation of her experience?", explanation: "Describing herself as 'enriched by both worlds' is Sofia's personal interpretation and opinion about her identity transformation, not a verifiable fact!" },
             { id: 4028, storyId: 246, category: "author_purpose", type: "multiple", question: "Why does the author include the friendship between Sofia and Jia?", options: ["To show that only immigrants can be friends with each other", "To demonstrate that shared experiences of cultural adjustment create powerful bonds and that having someone who understands your experience helps enormously", "To suggest that American-born students are unfriendly", "To explain Chinese immigration history"], correct: 1, hint: "What did Jia understand about Sofia that other classmates might not?", explanation: "Jia's family had emigrated from China two years earlier, so she 'understood Sofia's experience intimately'--showing that shared experience creates bonds and that having someone who 'gets it' accelerates adjustment!" },
             { id: 4029, storyId: 246, category: "text_structure", type: "multiple", question: "How is 'Starting Over' structured?", options: ["Starting with Sofia's arrival and feeling of displacement, then showing her gradual adjustment through art, friendship, and language acquisition, ending with her transformed identity", "As a comparison of Colombian and American school systems", "As a series of art class descriptions", "In reverse chronological order from the exhibition back to her arrival"], correct: 0, hint: "Notice how the story moves from struggle through adjustment to a new sense of identity.", explanation: "The passage follows Sofia's arc from displacement and struggle, through finding bridges (art, friendship, language learning), to arriving at a new identity enriched by both cultures!" },
-            { id: 4030, storyId: 246, category: "grammar", type: "highlight", question: "Identify the parts of speech for the highlighted words.", sentence: "Art became Sofia's bridge, a language that transcended verbal barriers.", answers: {"0": "noun", "1": "verb", "3": "noun", "6": "noun", "8": "verb", "9": "adjective", "10": "noun"}, hint: "Look for things, the action, and describing words.", explanation: "Art is a noun (thing), became is a verb (linking verb), bridge is a noun (thing), language is a noun (thing), transcended is a verb (action), verbal is an adjective (describes barriers), and barriers is a noun (thing)!" },
+            { id: 4030, storyId: 246, category: "grammar", type: "highlight", question: "Identify the parts of speech for the highlighted words.", sentence: "Art became Sofia's bridge, a language that transcended verbal barriers.", answers: {"0": "noun", "1": "verb", "3": "noun", "5": "noun", "7": "verb", "8": "adjective", "9": "noun"}, hint: "Look for things, the action, and describing words.", explanation: "Art is a noun (thing), became is a verb (linking verb), bridge is a noun (thing), language is a noun (thing), transcended is a verb (action), verbal is an adjective (describes barriers), and barriers is a noun (thing)!" },
 
 // Story 247: The Berlin Wall (W) - Fiction
 // IDs 4031-4042
@@ -180,3 +182,5 @@
             { id: 4112, storyId: 253, category: "author_purpose", type: "multiple", question: "Why does the author note that solutions 'prove elusive' and list the problems with each approach?", options: ["To argue that nothing should be done about misinformation", "To demonstrate that the misinformation problem is genuinely difficult because every solution involves significant trade-offs", "To suggest that all solutions are equally effective", "To promote one specific solution over others"], correct: 1, hint: "Why would the author show the flaws in platform moderation, media literacy, and credentialing?", explanation: "By showing each solution's limitations, the author demonstrates that misinformation is a genuinely difficult problem--not because nothing has been tried, but because every approach involves real trade-offs!" },
             { id: 4113, storyId: 253, category: "text_structure", type: "multiple", question: "How is 'Fake News: The Misinformation Age' organized?", options: ["By examining why misinformation succeeds (psychology), how platforms amplify it, what real-world consequences result, and why solutions are difficult", "As a timeline of every fake news story ever published", "As a comparison between traditional and social media business models", "As a personal account of being deceived by misinformation"], correct: 0, hint: "Notice the logical progression from causes to mechanisms to consequences to solutions.", explanation: "The passage builds logically: why humans are vulnerable (psychology), how platforms amplify falsehoods, what real consequences result, and why every proposed solution faces significant challenges!" },
             { id: 4114, storyId: 253, category: "grammar", type: "highlight", question: "Identify the parts of speech for the highlighted words.", sentence: "Algorithms promoting engagement naturally favor sensational content.", answers: {"0": "noun", "1": "verb", "2": "noun", "3": "adverb", "4": "verb", "5": "adjective", "6": "noun"}, hint: "Look for things, actions, how actions are done, and describing words.", explanation: "Algorithms is a noun (things), promoting is a verb (action), engagement is a noun (thing), naturally is an adverb (how they favor), favor is a verb (action), sensational is an adjective (describes content), and content is a noun (thing)!" },
+    ]
+});
@@ -1,6 +1,7 @@
 // Level X Questions (Stories 254-265) - Real, story-specific comprehension questions
-// Replace placeholder questions in app.js with these
 
+ContentRegistry.register('questions-level-x.js', {
+    questions: [
 // Story 254: The Young Meteorologist (X) - Fiction
             { id: 4115, storyId: 254, category: "theme", type: "multiple", question: "What is the main theme of 'The Young Meteorologist'?", options: ["Weather prediction is impossible and unreliable", "Careful observation, data collection, and scientific curiosity can transform a hobby into genuine expertise", "Only professional scientists can study weather", "Technology has made weather observation unnecessary"], correct: 1, hint: "Think about how the student develops real skills through dedication.", explanation: "The story shows how systematic observation, patient data collection, and genuine curiosity allow a young person to develop meaningful scientific expertise in meteorology!", wrongFeedback: ["The story shows weather tracking becoming increasingly accurate through careful methods.", "", "The story demonstrates that a dedicated student can develop genuine meteorological skills.", "The story shows how personal observation complements and deepens understanding of technology."] },
             { id: 4116, storyId: 254, category: "inference", type: "multiple", question: "Why would tracking weather patterns over many months be more valuable than checking a single forecast?", options: ["Because single forecasts are always wrong", "Because long-term tracking reveals patterns, seasonal trends, and local variations that individual forecasts cannot capture", "Because weather never changes from day to day", "Because forecasts use different units of measurement"], correct: 1, hint: "Think about what you can learn from data collected over time versus a single snapshot.", explanation: "Long-term tracking reveals patterns like seasonal shifts, recurring local conditions, and trends that no single forecast can show, building a deeper understanding of weather systems!", wrongFeedback: ["Individual forecasts can be accurate, but they show only one moment.", "", "Weather changes constantly, which is exactly why long-term tracking is valuable.", "The value is about patterns over time, not measurement units."] },
@@ -168,3 +169,5 @@
             { id: 4256, storyId: 265, category: "author_purpose", type: "multiple", question: "Why does the author begin by describing Sputnik as 'a polished metal sphere barely larger than a basketball'?", options: ["To argue that Sputnik was not an important achievement", "To contrast the simplicity of the first satellite with the extraordinary complexity and impact of modern satellite technology, emphasizing how far the field has advanced", "To suggest that satellites should be smaller", "To describe what Sputnik looked like for historical accuracy alone"], correct: 1, hint: "What effect does comparing Sputnik's simplicity to modern satellites create?", explanation: "Describing Sputnik's simplicity creates a powerful contrast with today's six thousand sophisticated satellites, emphasizing the remarkable advancement from simple radio beeps to transformative global technology!", wrongFeedback: ["Sputnik's description sets up the contrast with modern achievements.", "", "The point is about technological advancement, not satellite size.", "The description serves a narrative purpose beyond mere historical detail."] },
             { id: 4257, storyId: 265, category: "text_structure", type: "multiple", question: "How is this passage organized?", options: ["As a debate about whether satellites are beneficial", "As a topical structure examining three major satellite applications—communication, navigation, and Earth observation—framed by the historical context of Sputnik and the engineering challenges involved", "As a chronological biography of a satellite engineer", "As a technical manual for building satellites"], correct: 1, hint: "What major topics does the passage cover?", explanation: "The passage is organized topically: historical context (Sputnik), communication satellites, navigation satellites (GPS), Earth observation satellites, and the engineering challenges they all face!", wrongFeedback: ["The passage explains rather than debates.", "", "It's an expository essay about satellite technology, not a biography.", "It's informational for general readers, not a technical manual."] },
             { id: 4258, storyId: 265, category: "grammar", type: "highlight", question: "Identify the parts of speech for the highlighted words.", sentence: "Weather satellites have dramatically improved forecast accuracy and provide critical early warning.", answers: {"0": "noun", "1": "noun", "3": "adverb", "4": "verb", "5": "noun", "6": "noun", "8": "verb", "9": "adjective", "10": "adjective", "11": "noun"}, hint: "Look for things, actions, describing words, and modifiers.", explanation: "Weather is a noun (modifier), satellites is a noun (subject), dramatically is an adverb (modifies improved), improved is a verb (action), forecast is a noun (modifier), accuracy is a noun (thing), provide is a verb (action), critical is an adjective (describes warning), early is an adjective (describes warning), and warning is a noun (thing)!" },
+    ]
+});
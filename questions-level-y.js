@@ -1,6 +1,7 @@
 // Level Y Questions (Stories 267-277)
-// Replace placeholder questions in app.js with these story-specific questions
 
+ContentRegistry.register('questions-level-y.js', {
+    questions: [
 // Story 267: The Science of Musical Acoustics in Concert Hall Design (Y) - Nonfiction
 // IDs 4271-4282
             { id: 4271, storyId: 267, category: "theme", type: "multiple", question: "What is the main theme of 'The Science of Musical Acoustics in Concert Hall Design'?", options: ["Concert hall design is purely about visual appearance", "Designing a great concert hall requires the precise integration of physics, mathematics, engineering, and artistic judgment to create spaces where music achieves its full emotional potential", "All concert halls sound exactly the same regardless of design", "Acoustics is a simple science with straightforward solutions"], correct: 1, hint: "Think about why the passage calls this 'one of architecture's most exacting challenges.'", explanation: "The passage reveals how concert hall acoustics combines physics, mathematics, engineering, and artistic judgment, where small dimensional changes dramatically alter a room's acoustic character!", wrongFeedback: ["The passage focuses on how design affects sound, not appearance.", "", "The passage opens by asking why orchestras sound different in different halls.", "The passage describes extraordinary complexity in achieving good acoustics."] },
@@ -74,7 +75,7 @@
             { id: 4327, storyId: 271, category: "fact_opinion", type: "multiple", question: "Which statement from the passage is a FACT?", options: ["Science Olympiad is the most valuable extracurricular activity available", "Priya was the most talented student on the team", "Priya chose two events: Write It Do It and Disease Detectives", "Everyone should join Science Olympiad"], correct: 2, hint: "Which presents specific, verifiable information?", explanation: "Priya choosing Write It Do It and Disease Detectives as her two events is a specific, verifiable fact from the story!", wrongFeedback: ["'Most valuable' is a subjective ranking.", "'Most talented' is a subjective assessment.", "", "'Everyone should' is an opinion."] },
             { id: 4328, storyId: 271, category: "author_purpose", type: "multiple", question: "Why does the author specify that Priya 'never considered herself a science person' at the beginning?", options: ["To suggest that only certain people can do science", "To establish the contrast with her transformation, showing that scientific identity is developed through experience rather than predetermined", "To criticize Priya's lack of self-awareness", "To argue that self-perception is always accurate"], correct: 1, hint: "How does this opening detail relate to her conclusion that scientific thinking is 'a cultivated discipline'?", explanation: "Starting with Priya's non-scientific self-image creates a powerful contrast with her eventual discovery that scientific thinking is cultivated, not innate — anyone can develop it through practice!", wrongFeedback: ["The story shows the opposite — anyone can develop scientific thinking.", "", "The author presents Priya's initial self-perception sympathetically.", "The story shows self-perception can change through experience."] },
             { id: 4329, storyId: 271, category: "text_structure", type: "multiple", question: "How is 'The Science Olympiad Challenge' organized?", options: ["As a technical guide to winning science competitions", "As a chronological narrative following Priya from recruitment through preparation, regional competition, state competition, and personal transformation", "As a comparison between different science events", "As an argument for funding science programs"], correct: 1, hint: "Follow Priya's journey from start to finish.", explanation: "The story follows Priya chronologically: Ms. Nakamura's suggestion, joining the team, choosing events, months of preparation, regionals, state competition, and concluding with her transformed self-understanding!", wrongFeedback: ["It's a personal narrative, not a competition guide.", "", "While events are described, the structure follows Priya's journey.", "The passage is narrative, not argumentative."] },
-            { id: 4330, storyId: 271, category: "grammar", type: "highlight", question: "Identify the parts of speech for the highlighted words.", sentence: "Scientific thinking was not an innate talent but a cultivated discipline.", answers: {"0": "adjective", "1": "noun", "6": "adjective", "7": "noun", "10": "adjective", "11": "noun"}, hint: "Look for describing words and the concepts they describe.", explanation: "Scientific is an adjective (describes thinking), thinking is a noun (concept), innate is an adjective (describes talent), talent is a noun (thing), cultivated is an adjective (describes discipline), and discipline is a noun (concept)!" },
+            { id: 4330, storyId: 271, category: "grammar", type: "highlight", question: "Identify the parts of speech for the highlighted words.", sentence: "Scientific thinking was not an innate talent but a cultivated discipline.", answers: {"0": "adjective", "1": "noun", "5": "adjective", "6": "noun", "9": "adjective", "10": "noun"}, hint: "Look for describing words and the concepts they describe.", explanation: "Scientific is an adjective (describes thinking), thinking is a noun (concept), innate is an adjective (describes talent), talent is a noun (thing), cultivated is an adjective (describes discipline), and discipline is a noun (concept)!" },
 
 // Story 272: The Fermi Paradox: Where Is Everybody? (Y) - Nonfiction
 // IDs 4331-4342
@@ -165,3 +166,5 @@
             { id: 4400, storyId: 277, category: "author_purpose", type: "multiple", question: "Why does the author include specific examples of young inventors' achievements?", options: ["To prove that only these specific inventions matter", "To provide concrete evidence supporting the claim that young people can produce meaningful innovations, making the argument tangible rather than abstract", "To discourage adult inventors from continuing their work", "To advertise specific products"], correct: 1, hint: "What effect do specific examples have compared to general claims?", explanation: "Specific examples — the cancer test, Braille printer, ocean cleanup device — transform abstract claims about youth innovation into concrete, verifiable evidence that young people can achieve remarkable results!", wrongFeedback: ["The examples illustrate a broader pattern, not exclusive importance.", "", "The passage celebrates all innovation, not just youth innovation.", "The examples serve an argumentative purpose, not commercial."] },
             { id: 4401, storyId: 277, category: "text_structure", type: "multiple", question: "How is this passage organized?", options: ["As a biography of one specific young inventor", "As a thematic argument: introducing the claim that young inventors can change the world, providing specific examples, identifying shared characteristics, describing the support ecosystem, and discussing economic implications", "As a chronological history of youth inventions", "As a technical manual for building inventions"], correct: 1, hint: "What main sections does the passage cover?", explanation: "The passage builds its argument thematically: opening claim, concrete examples, shared characteristics of successful young inventors, expanding support ecosystem, and economic implications of youth innovation!", wrongFeedback: ["Multiple inventors are discussed, not just one.", "", "The structure is thematic and argumentative, not chronological.", "It's an argumentative essay, not a technical guide."] },
             { id: 4402, storyId: 277, category: "grammar", type: "highlight", question: "Identify the parts of speech for the highlighted words.", sentence: "Young inventors often develop solutions characterized by simplicity, affordability, and accessibility.", answers: {"0": "adjective", "1": "noun", "2": "adverb", "3": "verb", "4": "noun", "7": "noun", "9": "noun"}, hint: "Look for describing words, things, actions, and modifiers.", explanation: "Young is an adjective (describes inventors), inventors is a noun (people), often is an adverb (modifies develop), develop is a verb (action), solutions is a noun (thing), simplicity is a noun (quality), and affordability is a noun (quality)!" },
+    ]
+});
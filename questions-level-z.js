@@ -1,6 +1,8 @@
 // Level Z Questions (storyIds 278-289) - Real, story-specific comprehension questions
 // 12 stories x 12 questions each = 144 questions
 
+ContentRegistry.register('questions-level-z.js', {
+    questions: [
 // Story 278: The Honest Report (Z) - Fiction
 // IDs 4403-4414
             { id: 4403, storyId: 278, category: "theme", type: "multiple", question: "What is the central theme of 'The Honest Report'?", options: ["Winning competitions is more important than accuracy", "True integrity means choosing honesty even when it costs you something, because building on a flawed foundation undermines everything that follows", "Mistakes in science are unforgivable", "Competition judges never make errors"], correct: 1, hint: "Think about what Marcus chose to do and why.", explanation: "Marcus chose to report his error even though it could cost him his first-place ranking and scholarship opportunities — because genuine scientific achievement must be built on accurate foundations!", wrongFeedback: ["Marcus chose honesty over winning.", "", "The story shows mistakes are natural and self-correction is valued.", "The judges re-evaluated based on corrected data."] },
@@ -137,19 +139,19 @@
             { id: 4510, storyId: 286, category: "grammar", type: "highlight", question: "Identify the parts of speech for the highlighted words.", sentence: "Imperfect valuation may be better than no valuation at all.", answers: {"0": "adjective", "1": "noun", "4": "adjective"}, hint: "Look for describing words and things.", explanation: "Imperfect is an adjective (describes valuation), valuation is a noun (thing/process), and better is an adjective (comparative describing the valuation)!" },
 
 // Story 287: Restorative Justice in Schools: Solving Conflicts Peacefully (Z) - Nonfiction
-// IDs 4499-4510
-            { id: 4499, storyId: 287, category: "theme", type: "multiple", question: "What is the main theme of 'Restorative Justice in Schools'?", options: ["Punishment is always the best response to school conflicts", "Restorative justice offers an alternative to punishment that prioritizes understanding harm, repairing relationships, and developing empathy, producing more lasting behavioral change", "School conflicts are too minor to address seriously", "Students cannot learn conflict resolution skills"], correct: 1, hint: "Think about what restorative justice prioritizes over punishment.", explanation: "The passage argues that understanding harm, repairing relationships, and building empathy produce more lasting change than punishment alone — a fundamentally different approach to school discipline!", wrongFeedback: ["The passage presents restorative justice as more effective than punishment.", "", "The passage treats school conflicts as opportunities for meaningful growth.", "The passage shows students developing sophisticated conflict resolution skills."] },
-            { id: 4500, storyId: 287, category: "inference", type: "multiple", question: "Why does the passage say restorative justice assumes that 'understanding consequences and taking responsibility produces more lasting behavioral change than punishment alone'?", options: ["Because punishment is completely ineffective in all cases", "Because when people understand how their actions affect others and actively take responsibility, they internalize the lesson more deeply than when they simply serve a penalty", "Because restorative justice ignores the harm that was caused", "Because understanding consequences is easier than receiving punishment"], correct: 1, hint: "What is the difference between serving a penalty and truly understanding the impact of your actions?", explanation: "When someone truly understands how their actions affected others and actively participates in repair, the lesson becomes internalized — not just an external penalty to endure but genuine understanding of impact!", wrongFeedback: ["The passage acknowledges punishment-based approaches but argues this alternative is more effective.", "", "Understanding harm is central to the restorative process.", "The passage describes restorative processes as requiring significant time and effort."] },
-            { id: 4501, storyId: 287, category: "vocabulary", type: "multiple", question: "What does 'conducive' mean in 'environments more conducive to learning'?", options: ["Hostile and unwelcoming", "Making a certain situation or outcome likely or possible — in this case, creating conditions that support and encourage learning", "Completely unrelated to learning", "Extremely strict and controlled"], correct: 1, hint: "If addressing conflicts creates an environment 'more conducive to learning,' what does that environment do?", explanation: "'Conducive' means tending to promote or make something possible — an environment conducive to learning is one that actively supports and encourages academic achievement!", wrongFeedback: ["Conducive means supportive and encouraging, the opposite of hostile.", "", "Conducive specifically means favorable to a particular outcome.", "Conducive implies supportive conditions, not strict control."] },
-            { id: 4502, storyId: 287, category: "sequence", type: "multiple", question: "What is the typical sequence of implementation for restorative justice in schools?", options: ["Schools start with the most serious conflicts immediately", "Schools typically introduce restorative practices gradually, beginning with classroom community-building circles before addressing more serious conflicts", "All aspects of restorative justice are implemented simultaneously", "Schools eliminate all other discipline methods first"], correct: 1, hint: "What does 'gradually' suggest about the implementation process?", explanation: "Schools start with community-building circles to develop foundational skills, then progressively apply restorative practices to more serious situations — building capacity before tackling complex conflicts!", wrongFeedback: ["Schools begin with community-building, not serious conflicts.", "", "The passage describes gradual implementation.", "The passage presents restorative justice as an alternative, not a complete replacement."] },
-            { id: 4503, storyId: 287, category: "character", type: "multiple", question: "What perspective does the author present on restorative justice?", options: ["Completely uncritical support with no acknowledgment of challenges", "Supportive but balanced — presenting evidence for effectiveness while honestly acknowledging implementation challenges, time requirements, and limitations", "Completely opposed to restorative justice", "Neutral with no opinion expressed"], correct: 1, hint: "Does the author only present benefits, or also discuss challenges?", explanation: "The author presents compelling evidence for effectiveness (reduced suspensions, improved safety) while honestly discussing challenges (time requirements, training needs, power imbalance limitations) — a balanced assessment!", wrongFeedback: ["The passage explicitly discusses challenges and limitations.", "", "The passage presents evidence supporting restorative justice.", "The author's advocacy is evident, balanced with honest acknowledgment of challenges."] },
-            { id: 4504, storyId: 287, category: "main_idea", type: "multiple", question: "What is the main idea of this passage?", options: ["Traditional discipline methods work perfectly and need no alternatives", "Restorative justice in schools offers a philosophy that prioritizes understanding harm and repairing relationships over punishment, producing documented improvements in school climate and student well-being despite implementation challenges", "Only punishment can effectively manage student behavior", "Restorative justice eliminates all conflicts in schools"], correct: 1, hint: "What does the passage mainly argue?", explanation: "The passage argues that restorative justice — prioritizing understanding, repair, and empathy over punishment — produces measurable improvements in discipline, safety, and academics, while acknowledging real challenges!", wrongFeedback: ["The passage presents evidence that traditional methods alone are insufficient.", "", "The passage shows restorative approaches are more effective.", "The passage acknowledges that challenges and limitations exist."] },
-            { id: 4505, storyId: 287, category: "cause_effect", type: "multiple", question: "What effects have comprehensive restorative justice programs produced in schools?", options: ["Increased suspensions and decreased safety", "Significant reductions in disciplinary referrals, suspensions, and expulsions, plus improved feelings of safety and academic performance", "No measurable effects whatsoever", "Only improvements in academic performance"], correct: 1, hint: "What specific outcomes does the passage describe?", explanation: "The evidence shows multiple positive effects: fewer disciplinary actions, students feeling safer, stronger school community connections, and improved academic performance — benefits across multiple dimensions!", wrongFeedback: ["The passage documents significant reductions in disciplinary actions.", "", "The passage cites multiple documented improvements.", "Improvements span discipline, safety, community connection, and academics."] },
-            { id: 4506, storyId: 287, category: "compare_contrast", type: "multiple", question: "How does the passage contrast restorative justice with traditional discipline?", options: ["Both approaches are described as identical", "Traditional discipline focuses on punishment and deterrence, while restorative justice prioritizes understanding harm, repairing relationships, and developing empathy — fundamentally different philosophies", "Traditional discipline is presented as clearly superior", "The passage doesn't compare the two approaches"], correct: 1, hint: "What does each approach prioritize?", explanation: "Traditional discipline focuses on punishment (detention, suspension) to deter future misbehavior, while restorative justice focuses on understanding, repair, and empathy — completely different foundations!", wrongFeedback: ["They represent fundamentally different philosophies.", "", "The passage presents restorative justice as producing better outcomes.", "The opening paragraph directly contrasts the two approaches."] },
-            { id: 4507, storyId: 287, category: "fact_opinion", type: "multiple", question: "Which of the following from the passage is a verifiable FACT?", options: ["Restorative justice is the only approach that works in schools", "Every school should immediately adopt restorative justice", "Schools implementing comprehensive programs have documented significant reductions in disciplinary referrals, suspensions, and expulsions", "Punishment never works for any student"], correct: 2, hint: "Which presents documented, measurable outcomes?", explanation: "Documented reductions in disciplinary referrals, suspensions, and expulsions are measurable outcomes that can be verified through school records!", wrongFeedback: ["'Only approach' is an overgeneralization.", "'Every school should immediately' is a prescriptive opinion.", "", "'Never works for any student' is an absolute claim not supported."] },
-            { id: 4508, storyId: 287, category: "author_purpose", type: "multiple", question: "Why does the author include critics' concerns about restorative justice?", options: ["To argue that restorative justice should be abandoned", "To present a balanced analysis that acknowledges real challenges while maintaining that restorative approaches produce outcomes that punishment-based methods fail to achieve", "To prove that critics are always wrong", "To confuse readers about the topic"], correct: 1, hint: "What effect does including criticism have on the argument's credibility?", explanation: "Including legitimate concerns (time requirements, training needs, power imbalances) strengthens the author's credibility and shows that advocacy for restorative justice is based on honest assessment, not naive enthusiasm!", wrongFeedback: ["The author includes criticism to strengthen, not abandon, the argument.", "", "The author takes critics' concerns seriously.", "The criticism adds depth and honesty to the analysis."] },
-            { id: 4509, storyId: 287, category: "text_structure", type: "multiple", question: "How is this passage organized?", options: ["As a personal story about one student's experience with restorative justice", "As an argumentative analysis: introducing the concept and its philosophy, explaining the process, describing implementation, presenting evidence, and addressing criticism", "As a chronological history of school discipline methods", "As a comparison between schools in different countries"], correct: 1, hint: "What main sections does the passage cover?", explanation: "The passage follows an argumentative structure: introducing the concept, explaining the restorative process, describing implementation, presenting evidence for effectiveness, and addressing criticism!", wrongFeedback: ["It's an analytical essay, not a personal narrative.", "", "The structure is topical and argumentative, not chronological.", "The passage discusses the approach generally, not by country."] },
-            { id: 4510, storyId: 287, category: "grammar", type: "highlight", question: "Identify the parts of speech for the highlighted words.", sentence: "Facilitated conversations follow structured formats ensuring honest communication.", answers: {"0": "adjective", "1": "noun", "2": "verb", "3": "adjective", "4": "noun", "5": "verb", "6": "adjective", "7": "noun"}, hint: "Look for describing words, things, and actions.", explanation: "Facilitated is an adjective (describes conversations), conversations is a noun (thing), follow is a verb (action), structured is an adjective (describes formats), formats is a noun (thing), ensuring is a verb (action), honest is an adjective (describes communication), and communication is a noun (thing)!" },
+// IDs 4511-4522
+            { id: 4511, storyId: 287, category: "theme", type: "multiple", question: "What is the main theme of 'Restorative Justice in Schools'?", options: ["Punishment is always the best response to school conflicts", "Restorative justice offers an alternative to punishment that prioritizes understanding harm, repairing relationships, and developing empathy, producing more lasting behavioral change", "School conflicts are too minor to address seriously", "Students cannot learn conflict resolution skills"], correct: 1, hint: "Think about what restorative justice prioritizes over punishment.", explanation: "The passage argues that understanding harm, repairing relationships, and building empathy produce more lasting change than punishment alone — a fundamentally different approach to school discipline!", wrongFeedback: ["The passage presents restorative justice as more effective than punishment.", "", "The passage treats school conflicts as opportunities for meaningful growth.", "The passage shows students developing sophisticated conflict resolution skills."] },
+            { id: 4512, storyId: 287, category: "inference", type: "multiple", question: "Why does the passage say restorative justice assumes that 'understanding consequences and taking responsibility produces more lasting behavioral change than punishment alone'?", options: ["Because punishment is completely ineffective in all cases", "Because when people understand how their actions affect others and actively take responsibility, they internalize the lesson more deeply than when they simply serve a penalty", "Because restorative justice ignores the harm that was caused", "Because understanding consequences is easier than receiving punishment"], correct: 1, hint: "What is the difference between serving a penalty and truly understanding the impact of your actions?", explanation: "When someone truly understands how their actions affected others and actively participates in repair, the lesson becomes internalized — not just an external penalty to endure but genuine understanding of impact!", wrongFeedback: ["The passage acknowledges punishment-based approaches but argues this alternative is more effective.", "", "Understanding harm is central to the restorative process.", "The passage describes restorative processes as requiring significant time and effort."] },
+            { id: 4513, storyId: 287, category: "vocabulary", type: "multiple", question: "What does 'conducive' mean in 'environments more conducive to learning'?", options: ["Hostile and unwelcoming", "Making a certain situation or outcome likely or possible — in this case, creating conditions that support and encourage learning", "Completely unrelated to learning", "Extremely strict and controlled"], correct: 1, hint: "If addressing conflicts creates an environment 'more conducive to learning,' what does that environment do?", explanation: "'Conducive' means tending to promote or make something possible — an environment conducive to learning is one that actively supports and encourages academic achievement!", wrongFeedback: ["Conducive means supportive and encouraging, the opposite of hostile.", "", "Conducive specifically means favorable to a particular outcome.", "Conducive implies supportive conditions, not strict control."] },
+            { id: 4514, storyId: 287, category: "sequence", type: "multiple", question: "What is the typical sequence of implementation for restorative justice in schools?", options: ["Schools start with the most serious conflicts immediately", "Schools typically introduce restorative practices gradually, beginning with classroom community-building circles before addressing more serious conflicts", "All aspects of restorative justice are implemented simultaneously", "Schools eliminate all other discipline methods first"], correct: 1, hint: "What does 'gradually' suggest about the implementation process?", explanation: "Schools start with community-building circles to develop foundational skills, then progressively apply restorative practices to more serious situations — building capacity before tackling complex conflicts!", wrongFeedback: ["Schools begin with community-building, not serious conflicts.", "", "The passage describes gradual implementation.", "The passage presents restorative justice as an alternative, not a complete replacement."] },
+            { id: 4515, storyId: 287, category: "character", type: "multiple", question: "What perspective does the author present on restorative justice?", options: ["Completely uncritical support with no acknowledgment of challenges", "Supportive but balanced — presenting evidence for effectiveness while honestly acknowledging implementation challenges, time requirements, and limitations", "Completely opposed to restorative justice", "Neutral with no opinion expressed"], correct: 1, hint: "Does the author only present benefits, or also discuss challenges?", explanation: "The author presents compelling evidence for effectiveness (reduced suspensions, improved safety) while honestly discussing challenges (time requirements, training needs, power imbalance limitations) — a balanced assessment!", wrongFeedback: ["The passage explicitly discusses challenges and limitations.", "", "The passage presents evidence supporting restorative justice.", "The author's advocacy is evident, balanced with honest acknowledgment of challenges."] },
+            { id: 4516, storyId: 287, category: "main_idea", type: "multiple", question: "What is the main idea of this passage?", options: ["Traditional discipline methods work perfectly and need no alternatives", "Restorative justice in schools offers a philosophy that prioritizes understanding harm and repairing relationships over punishment, producing documented improvements in school climate and student well-being despite implementation challenges", "Only punishment can effectively manage student behavior", "Restorative justice eliminates all conflicts in schools"], correct: 1, hint: "What does the passage mainly argue?", explanation: "The passage argues that restorative justice — prioritizing understanding, repair, and empathy over punishment — produces measurable improvements in discipline, safety, and academics, while acknowledging real challenges!", wrongFeedback: ["The passage presents evidence that traditional methods alone are insufficient.", "", "The passage shows restorative approaches are more effective.", "The passage acknowledges that challenges and limitations exist."] },
+            { id: 4517, storyId: 287, category: "cause_effect", type: "multiple", question: "What effects have comprehensive restorative justice programs produced in schools?", options: ["Increased suspensions and decreased safety", "Significant reductions in disciplinary referrals, suspensions, and expulsions, plus improved feelings of safety and academic performance", "No measurable effects whatsoever", "Only improvements in academic performance"], correct: 1, hint: "What specific outcomes does the passage describe?", explanation: "The evidence shows multiple positive effects: fewer disciplinary actions, students feeling safer, stronger school community connections, and improved academic performance — benefits across multiple dimensions!", wrongFeedback: ["The passage documents significant reductions in disciplinary actions.", "", "The passage cites multiple documented improvements.", "Improvements span discipline, safety, community connection, and academics."] },
+            { id: 4518, storyId: 287, category: "compare_contrast", type: "multiple", question: "How does the passage contrast restorative justice with traditional discipline?", options: ["Both approaches are described as identical", "Traditional discipline focuses on punishment and deterrence, while restorative justice prioritizes understanding harm, repairing relationships, and developing empathy — fundamentally different philosophies", "Traditional discipline is presented as clearly superior", "The passage doesn't compare the two approaches"], correct: 1, hint: "What does each approach prioritize?", explanation: "Traditional discipline focuses on punishment (detention, suspension) to deter future misbehavior, while restorative justice focuses on understanding, repair, and empathy — completely different foundations!", wrongFeedback: ["They represent fundamentally different philosophies.", "", "The passage presents restorative justice as producing better outcomes.", "The opening paragraph directly contrasts the two approaches."] },
+            { id: 4519, storyId: 287, category: "fact_opinion", type: "multiple", question: "Which of the following from the passage is a verifiable FACT?", options: ["Restorative justice is the only approach that works in schools", "Every school should immediately adopt restorative justice", "Schools implementing comprehensive programs have documented significant reductions in disciplinary referrals, suspensions, and expulsions", "Punishment never works for any student"], correct: 2, hint: "Which presents documented, measurable outcomes?", explanation: "Documented reductions in disciplinary referrals, suspensions, and expulsions are measurable outcomes that can be verified through school records!", wrongFeedback: ["'Only approach' is an overgeneralization.", "'Every school should immediately' is a prescriptive opinion.", "", "'Never works for any student' is an absolute claim not supported."] },
+            { id: 4520, storyId: 287, category: "author_purpose", type: "multiple", question: "Why does the author include critics' concerns about restorative justice?", options: ["To argue that restorative justice should be abandoned", "To present a balanced analysis that acknowledges real challenges while maintaining that restorative approaches produce outcomes that punishment-based methods fail to achieve", "To prove that critics are always wrong", "To confuse readers about the topic"], correct: 1, hint: "What effect does including criticism have on the argument's credibility?", explanation: "Including legitimate concerns (time requirements, training needs, power imbalances) strengthens the author's credibility and shows that advocacy for restorative justice is based on honest assessment, not naive enthusiasm!", wrongFeedback: ["The author includes criticism to strengthen, not abandon, the argument.", "", "The author takes critics' concerns seriously.", "The criticism adds depth and honesty to the analysis."] },
+            { id: 4521, storyId: 287, category: "text_structure", type: "multiple", question: "How is this passage organized?", options: ["As a personal story about one student's experience with restorative justice", "As an argumentative analysis: introducing the concept and its philosophy, explaining the process, describing implementation, presenting evidence, and addressing criticism", "As a chronological history of school discipline methods", "As a comparison between schools in different countries"], correct: 1, hint: "What main sections does the passage cover?", explanation: "The passage follows an argumentative structure: introducing the concept, explaining the restorative process, describing implementation, presenting evidence for effectiveness, and addressing criticism!", wrongFeedback: ["It's an analytical essay, not a personal narrative.", "", "The structure is topical and argumentative, not chronological.", "The passage discusses the approach generally, not by country."] },
+            { id: 4522, storyId: 287, category: "grammar", type: "highlight", question: "Identify the parts of speech for the highlighted words.", sentence: "Facilitated conversations follow structured formats ensuring honest communication.", answers: {"0": "adjective", "1": "noun", "2": "verb", "3": "adjective", "4": "noun", "5": "verb", "6": "adjective", "7": "noun"}, hint: "Look for describing words, things, and actions.", explanation: "Facilitated is an adjective (describes conversations), conversations is a noun (thing), follow is a verb (action), structured is an adjective (describes formats), formats is a noun (thing), ensuring is a verb (action), honest is an adjective (describes communication), and communication is a noun (thing)!" },
 
 // Story 288: The Future of Sports (Z) - Nonfiction
 // IDs 4523-4534
@@ -180,3 +182,5 @@
             { id: 4544, storyId: 289, category: "author_purpose", type: "multiple", question: "Why does the author end by saying active citizenship is 'developed through practice rather than simply reaching voting age'?", options: ["To discourage young people from voting", "To emphasize that civic engagement is a skill built over time through progressive practice, not a switch that flips on a birthday", "To argue that voting is unimportant", "To suggest that civic engagement has a specific age requirement"], correct: 1, hint: "What does this conclusion suggest about when civic engagement should begin?", explanation: "The ending reinforces the passage's central argument: civic engagement is a practiced skill, not an automatic capability — starting early builds the foundation for lifelong participation!", wrongFeedback: ["The author encourages all forms of civic participation.", "", "The passage values voting as part of comprehensive civic engagement.", "The passage argues for starting early, not waiting for a specific age."] },
             { id: 4545, storyId: 289, category: "text_structure", type: "multiple", question: "How is this passage organized?", options: ["As a biography of a specific civic leader", "As a progressive structure: introducing civic engagement, exploring student council, community service, and local government as escalating pathways, and concluding with research supporting lifelong benefits", "As a chronological history of civic engagement in America", "As a debate about whether young people should be involved in government"], correct: 1, hint: "What organizing principle connects the three sections?", explanation: "The passage is organized as an escalating progression: student council skills, community service connections, local government participation, and concluding with research confirming lifelong benefits!", wrongFeedback: ["No specific individual is the focus.", "", "The structure follows escalating levels of engagement, not history.", "The passage advocates for youth engagement, not debates it."] },
             { id: 4546, storyId: 289, category: "grammar", type: "highlight", question: "Identify the parts of speech for the highlighted words.", sentence: "Early engagement establishes habits and perspectives that strengthen communities across generations.", answers: {"0": "adjective", "1": "noun", "2": "verb", "3": "noun", "5": "noun", "7": "verb", "8": "noun"}, hint: "Look for describing words, things, and actions.", explanation: "Early is an adjective (describes engagement), engagement is a noun (concept), establishes is a verb (action), habits is a noun (things), perspectives is a noun (things), strengthen is a verb (action), and communities is a noun (things)!" },
+    ]
+});
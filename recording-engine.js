@@ -5,8 +5,14 @@
 // storage via IndexedDB, playback, and rolling cleanup.
 // Exposes global RecordingEngine with init(), startRecording(),
 // stopRecording(), saveRecording(), getRecordingsForStory(),
-// getAllRecordings(), deleteRecording(), playRecording(),
-// stopPlayback(), cleanupOldRecordings(), getStorageEstimate().
+// getAllRecordings(), importRecording(), updateRecording(), deleteRecording(),
+// playRecording(), stopPlayback(), cleanupOldRecordings(), getStorageEstimate().
+// Recordings are tagged with the active student profile (setProfile());
+// the getters only return the active profile's recordings.
+// Echo-reading takes are saved with kind 'echo' and an echo object
+// ({ sessionId, sentenceIndex, text }); plain readings have no kind.
+// Recordings restored from a backup carry restoredAt, and the 7-day
+// cleanup counts from then rather than from the original timestamp.
 // ========================================
 
 var RecordingEngine = (function() {
@@ -35,6 +41,7 @@ var RecordingEngine = (function() {
     var supported = false; // set true during init if browser supports recording
     var audioContext = null;
     var analyserNode = null;
+    var activeProfileId = null; // null = no profile filtering
 
     // ========================================
     // INDEXEDDB SETUP
@@ -316,6 +323,7 @@ var RecordingEngine = (function() {
         }).then(function(database) {
             return new Promise(function(resolve, reject) {
                 var record = {
+                    profileId: activeProfileId,
                     storyId: metadata.storyId,
                     storyTitle: metadata.storyTitle || '',
                     level: metadata.level || '',
@@ -326,6 +334,8 @@ var RecordingEngine = (function() {
                     duration: metadata.duration || 0,
                     wpm: metadata.wpm || 0
                 };
+                if (metadata.kind) record.kind = metadata.kind;
+                if (metadata.echo) record.echo = metadata.echo;
 
                 var tx = database.transaction(STORE_NAME, 'readwrite');
                 var store = tx.objectStore(STORE_NAME);
@@ -343,6 +353,37 @@ var RecordingEngine = (function() {
         });
     }
 
+    // Stores a recording restored from a backup, keeping its original
+    // profile, timestamp and metadata. restoredAt starts a fresh 7 days
+    // before cleanup. Resolves with the new id.
+    function importRecording(record) {
+        return autoDeleteOldest(record.blob.size).then(function() {
+            return openDatabase();
+        }).then(function(database) {
+            return new Promise(function(resolve, reject) {
+                var copy = {};
+                for (var key in record) {
+                    if (record.hasOwnProperty(key) && key !== 'id') copy[key] = record[key];
+                }
+                if (!copy.timestamp) copy.timestamp = Date.now();
+                copy.restoredAt = Date.now();
+
+                var tx = database.transaction(STORE_NAME, 'readwrite');
+                var store = tx.objectStore(STORE_NAME);
+                var request = store.add(copy);
+
+                request.onsuccess = function() {
+                    resolve(request.result);
+                };
+
+                request.onerror = function(event) {
+                    console.error('RecordingEngine: Failed to import recording', event.target.error);
+                    reject(event.target.error);
+                };
+            });
+        });
+    }
+
     function getRecordingsForStory(storyId) {
         return openDatabase().then(function(database) {
             return new Promise(function(resolve, reject) {
@@ -352,7 +393,7 @@ var RecordingEngine = (function() {
                 var request = index.getAll(storyId);
 
                 request.onsuccess = function() {
-                    var results = request.result || [];
+                    var results = (request.result || []).filter(belongsToActiveProfile);
                     // Sort by attemptNumber then timestamp
                     results.sort(function(a, b) {
                         if (a.attemptNumber !== b.attemptNumber) return a.attemptNumber - b.attemptNumber;
@@ -369,7 +410,9 @@ var RecordingEngine = (function() {
         });
     }
 
-    function getAllRecordings() {
+    // options.allProfiles: include every profile's recordings (backups)
+    function getAllRecordings(options) {
+        var allProfiles = options && options.allProfiles;
         return openDatabase().then(function(database) {
             return new Promise(function(resolve, reject) {
                 var tx = database.transaction(STORE_NAME, 'readonly');
@@ -378,6 +421,7 @@ var RecordingEngine = (function() {
 
                 request.onsuccess = function() {
                     var results = request.result || [];
+                    if (!allProfiles) results = results.filter(belongsToActiveProfile);
                     // Sort newest first
                     results.sort(function(a, b) {
                         return b.timestamp - a.timestamp;
@@ -393,6 +437,39 @@ var RecordingEngine = (function() {
         });
     }
 
+    // Merges fields (teacher reviews and the like) into a saved recording's
+    // metadata. The audio, id and owner can't be changed this way.
+    function updateRecording(id, fields) {
+        return openDatabase().then(function(database) {
+            return new Promise(function(resolve, reject) {
+                var tx = database.transaction(STORE_NAME, 'readwrite');
+                var store = tx.objectStore(STORE_NAME);
+                var request = store.get(id);
+
+                request.onsuccess = function() {
+                    var record = request.result;
+                    if (!record) {
+                        reject(new Error('Recording not found.'));
+                        return;
+                    }
+                    for (var key in fields) {
+                        if (fields.hasOwnProperty(key) && key !== 'id' && key !== 'blob' && key !== 'profileId') record[key] = fields[key];
+                    }
+                    var putRequest = store.put(record);
+                    putRequest.onsuccess = function() { resolve(record); };
+                    putRequest.onerror = function(event) {
+                        console.error('RecordingEngine: Failed to update recording', event.target.error);
+                        reject(event.target.error);
+                    };
+                };
+
+                request.onerror = function(event) {
+                    reject(event.target.error);
+                };
+            });
+        });
+    }
+
     function deleteRecording(id) {
         return openDatabase().then(function(database) {
             return new Promise(function(resolve, reject) {
@@ -412,6 +489,83 @@ var RecordingEngine = (function() {
         });
     }
 
+    // ========================================
+    // PROFILES
+    // ========================================
+
+    function belongsToActiveProfile(record) {
+        return activeProfileId === null || record.profileId === activeProfileId;
+    }
+
+    function setProfile(profileId) {
+        activeProfileId = profileId || null;
+    }
+
+    function getProfile() {
+        return activeProfileId;
+    }
+
+    // Tags recordings saved before profiles existed with the given profile.
+    function claimUnassignedRecordings(profileId) {
+        return openDatabase().then(function(database) {
+            return new Promise(function(resolve, reject) {
+                var tx = database.transaction(STORE_NAME, 'readwrite');
+                var store = tx.objectStore(STORE_NAME);
+                var request = store.openCursor();
+                var claimed = 0;
+
+                request.onsuccess = function(event) {
+                    var cursor = event.target.result;
+                    if (cursor) {
+                        if (!cursor.value.profileId) {
+                            var record = cursor.value;
+                            record.profileId = profileId;
+                            cursor.update(record);
+                            claimed++;
+                        }
+                        cursor.continue();
+                    } else {
+                        resolve(claimed);
+                    }
+                };
+
+                request.onerror = function(event) {
+                    console.error('RecordingEngine: Failed to claim recordings', event.target.error);
+                    reject(event.target.error);
+                };
+            });
+        });
+    }
+
+    function deleteRecordingsForProfile(profileId) {
+        return openDatabase().then(function(database) {
+            return new Promise(function(resolve, reject) {
+                var tx = database.transaction(STORE_NAME, 'readwrite');
+                var store = tx.objectStore(STORE_NAME);
+                var request = store.openCursor();
+                var deletedCount = 0;
+
+                request.onsuccess = function(event) {
+                    var cursor = event.target.result;
+                    if (cursor) {
+                        if (cursor.value.profileId === profileId) {
+                            cursor.delete();
+                            deletedCount++;
+                        }
+                        cursor.continue();
+                    } else {
+                        resolve(deletedCount);
+                    }
+                };
+
+                request.onerror = function(event) {
+                    console.error('RecordingEngine: Failed to delete profile recordings', event.target.error);
+                    reject(event.target.error);
+                };
+            });
+        });
+    }
+
     // ========================================
     // PLAYBACK
     // ========================================
@@ -502,8 +656,11 @@ var RecordingEngine = (function() {
                 request.onsuccess = function(event) {
                     var cursor = event.target.result;
                     if (cursor) {
-                        cursor.delete();
-                        deletedCount++;
+                        // Restored recordings are old by timestamp but new to this device
+                        if (!(cursor.value.restoredAt > cutoff)) {
+                            cursor.delete();
+                            deletedCount++;
+                        }
                         cursor.continue();
                     } else {
                         if (deletedCount > 0) {
@@ -606,6 +763,8 @@ var RecordingEngine = (function() {
         startRecording: startRecording,
         stopRecording: stopRecording,
         saveRecording: saveRecording,
+        importRecording: importRecording,
+        updateRecording: updateRecording,
         getRecordingsForStory: getRecordingsForStory,
         getAllRecordings: getAllRecordings,
         deleteRecording: deleteRecording,
@@ -615,6 +774,10 @@ var RecordingEngine = (function() {
         getStorageEstimate: getStorageEstimate,
         getState: getState,
         isSupported: isSupported,
-        getAnalyserNode: getAnalyserNode
+        getAnalyserNode: getAnalyserNode,
+        setProfile: setProfile,
+        getProfile: getProfile,
+        claimUnassignedRecordings: claimUnassignedRecordings,
+        deleteRecordingsForProfile: deleteRecordingsForProfile
     };
 })();
@@ -0,0 +1,67 @@
+#!/usr/bin/env node
+// ========================================
+// Regression check for content id clashes between teacher-authored
+// stories (ids from 10001) and imported content packs. Loads app.js in a
+// sandbox, imports a pack and authors a story in both orders, and fails
+// if the content registry had to drop anything.
+//
+//   node scripts/check-content-ids.js
+//
+// Exits with status 1 when any scenario fails.
+// ========================================
+
+var vm = require('vm');
+var loadContent = require('./content-sandbox.js').loadContent;
+
+// A pack whose ids sit right where the first custom story and question land
+var PACK = {
+    format: 'readingquest-pack',
+    formatVersion: 1,
+    id: 'id-check-pack',
+    name: 'Id Check Pack',
+    version: 1,
+    stories: [
+        { id: 10001, title: 'Pack Story', text: 'The dog ran to the park. The dog played all day.', level: 'A', genre: 'fiction' }
+    ],
+    questions: [
+        { id: 100001, storyId: 10001, category: 'story', type: 'multiple', question: 'Where did the dog run?',
+            options: ['To the park', 'To the shop'], correct: 0, hint: 'Read the first sentence.', explanation: 'The dog ran to the park.' }
+    ]
+};
+
+// Authors a story and one question the way saveCustomStory and
+// saveCustomQuestion do, without going through the editor form
+var AUTHOR = 'var story = { id: nextCustomId("stories"), custom: true, title: "My Story", level: "A", genre: "fiction",' +
+    ' text: "The cat sat on the mat. The cat took a nap.", wordCount: 11 };' +
+    'customContent.stories.push(story);' +
+    'customContent.questions.push({ id: nextCustomId("questions"), storyId: story.id, category: "story", type: "multiple",' +
+    ' question: "Where did the cat sit?", options: ["On the mat", "On the bed"], correct: 0 });' +
+    'saveCustomContent(); refreshContent(); story.id;';
+
+var IMPORT = 'importContentPack(' + JSON.stringify(PACK) + ') !== null';
+
+function runScenario(name, steps) {
+    var sandbox = loadContent();
+    var failures = [];
+    steps.forEach(function(step) {
+        if (vm.runInContext(step, sandbox) === false) failures.push('step did not complete: ' + step.slice(0, 40) + '…');
+    });
+    var problems = vm.runInContext('ContentRegistry.getProblems()', sandbox);
+    problems.forEach(function(p) {
+        failures.push(vm.runInContext('ContentRegistry.describeProblem(' + JSON.stringify(p) + ')', sandbox));
+    });
+    var packStories = vm.runInContext('stories.filter(function(s) { return s.packId === "' + PACK.id + '"; }).length', sandbox);
+    var customStories = vm.runInContext('stories.filter(function(s) { return s.custom; }).length', sandbox);
+    if (packStories !== 1) failures.push('expected the pack story to be loaded, found ' + packStories);
+    if (customStories !== 1) failures.push('expected the authored story to be loaded, found ' + customStories);
+
+    console.log((failures.length ? 'FAIL ' : 'ok   ') + name);
+    failures.forEach(function(f) { console.log('       ' + f); });
+    return failures.length === 0;
+}
+
+var results = [
+    runScenario('import pack, then author', [IMPORT, AUTHOR]),
+    runScenario('author, then import pack', [AUTHOR, IMPORT])
+];
+process.exitCode = results.every(Boolean) ? 0 : 1;
@@ -0,0 +1,71 @@
+// ========================================
+// Loads the content scripts index.html loads (content registry, level
+// files, app.js) into a Node vm sandbox. Shared by the scripts in this
+// folder.
+// Exports loadContent().
+// ========================================
+
+var fs = require('fs');
+var path = require('path');
+var vm = require('vm');
+
+var root = path.join(__dirname, '..');
+
+// Content scripts in the order index.html loads them
+function getContentScripts() {
+    var html = fs.readFileSync(path.join(root, 'index.html'), 'utf8');
+    var scripts = [];
+    var re = /<script src="([^"]+)"><\/script>/g;
+    var match;
+    while ((match = re.exec(html))) {
+        var src = match[1];
+        if (src === 'content-registry.js' || src === 'app.js' || /^questions-level-.*\.js$/.test(src)) scripts.push(src);
+    }
+    return scripts;
+}
+
+// Just enough of a browser for app.js to load; nothing here is ever rendered
+function makeSandbox() {
+    var noop = function() {};
+    var element = function() {
+        return {
+            style: {}, classList: { add: noop, remove: noop, toggle: noop, contains: function() { return false; } },
+            setAttribute: noop, getAttribute: function() { return null; }, appendChild: noop,
+            addEventListener: noop, querySelector: function() { return null; }, querySelectorAll: function() { return []; }
+        };
+    };
+    var store = {};
+    var sandbox = {
+        console: console,
+        setTimeout: noop, clearTimeout: noop, setInterval: noop, clearInterval: noop,
+        alert: noop, confirm: function() { return false; }, prompt: function() { return null; },
+        navigator: {},
+        localStorage: {
+            getItem: function(k) { return Object.prototype.hasOwnProperty.call(store, k) ? store[k] : null; },
+            setItem: function(k, v) { store[k] = String(v); },
+            removeItem: function(k) { delete store[k]; }
+        },
+        document: {
+            addEventListener: noop, getElementById: function() { return null; },
+            querySelector: function() { return null; }, querySelectorAll: function() { return []; },
+            createElement: element, body: element(), documentElement: element()
+        }
+    };
+    sandbox.window = sandbox;
+    return vm.createContext(sandbox);
+}
+
+// Returns a sandbox with every content script run in it, so its globals
+// (stories, questions, ContentRegistry, app.js functions) can be read back
+// with vm.runInContext
+function loadContent() {
+    var sandbox = makeSandbox();
+    getContentScripts().forEach(function(src) {
+        vm.runInContext(fs.readFileSync(path.join(root, src), 'utf8'), sandbox, { filename: src });
+    });
+    return sandbox;
+}
+
+module.exports = {
+    loadContent: loadContent
+};
@@ -0,0 +1,40 @@
+#!/usr/bin/env node
+// ========================================
+// Headless content check: loads the same content scripts index.html
+// loads (content registry, level files, app.js) into a sandbox and runs
+// ContentValidator over the result.
+//
+//   node scripts/validate-content.js [--min=error|warning|info] [--json]
+//
+// Exits with status 1 when any errors are found.
+// ========================================
+
+var vm = require('vm');
+var ContentValidator = require('../content-validator.js');
+var loadContent = require('./content-sandbox.js').loadContent;
+
+var args = process.argv.slice(2);
+var minSeverity = 'warning';
+var asJson = false;
+args.forEach(function(arg) {
+    if (arg.indexOf('--min=') === 0) minSeverity = arg.slice(6);
+    else if (arg === '--json') asJson = true;
+});
+if (ContentValidator.SEVERITIES.indexOf(minSeverity) < 0) {
+    console.error('Unknown severity "' + minSeverity + '" (use error, warning or info)');
+    process.exit(2);
+}
+
+var sandbox = loadContent();
+var content = vm.runInContext('({ stories: stories, questions: questions, vocabDB: storyVocabDB, levels: LEVELS, ' +
+    'registryProblems: typeof ContentRegistry !== "undefined" ? ContentRegistry.getProblems() : [] })', sandbox);
+var report = ContentValidator.validate(content);
+
+if (asJson) {
+    console.log(JSON.stringify(report, null, 2));
+} else {
+    var titles = {};
+    content.stories.forEach(function(s) { titles[s.id] = s.title; });
+    console.log(ContentValidator.formatReport(report, { minSeverity: minSeverity, storyTitles: titles }));
+}
+process.exitCode = report.counts.error > 0 ? 1 : 0;